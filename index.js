@@ -2,6 +2,10 @@ import { registerRootComponent } from 'expo';
 
 import App from './App';
 
+// Background tasks must be defined when the bundle loads, also when the OS starts the app just to run them
+import './src/tasks/locationTask';
+import './src/tasks/heartbeatTask';
+
 // registerRootComponent calls AppRegistry.registerComponent('main', () => App);
 // It also ensures that whether you load the app in Expo Go or in a native build,
 // the environment is set up appropriately
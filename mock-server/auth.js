@@ -0,0 +1,290 @@
+// User accounts and signed access/refresh tokens
+const crypto = require('crypto');
+const express = require('express');
+const { createStateFile } = require('./stateFile');
+
+// Accounts, active refresh tokens and the generated signing secret, saved to
+// data/auth.json unless LOCATION_STORE=memory
+const authState = createStateFile('auth.json');
+const savedAuth = authState.load({ secret: null, users: [], refreshTokens: {} });
+
+// Signing secret; AUTH_SECRET takes precedence, otherwise one is generated and saved
+// with the accounts so that tokens stay valid across restarts
+const AUTH_SECRET = process.env.AUTH_SECRET || savedAuth.secret || crypto.randomBytes(32).toString('hex');
+
+const ACCESS_TOKEN_TTL = 15 * 60;            // 15 minutes, in seconds
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days, in seconds
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Registered users keyed by ID (in production, you'd use a database)
+const users = new Map(savedAuth.users.map((user) => [user.id, user]));
+
+// IDs of refresh tokens that have not been used or revoked yet, with their expiry in ms
+const activeRefreshTokens = new Map(Object.entries(savedAuth.refreshTokens));
+
+/**
+ * Save accounts and refresh tokens, dropping refresh tokens that have expired
+ */
+function saveAuthState() {
+  const now = Date.now();
+  for (const [refreshId, expiresAt] of activeRefreshTokens) {
+    if (expiresAt <= now) {
+      activeRefreshTokens.delete(refreshId);
+    }
+  }
+  authState.save({
+    secret: process.env.AUTH_SECRET ? null : AUTH_SECRET,
+    users: [...users.values()],
+    refreshTokens: Object.fromEntries(activeRefreshTokens)
+  });
+}
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url text
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Sign a token body with the server secret
+ * @param {string} data - Encoded header and payload
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed JWT (HS256)
+ * @param {Object} claims - Token claims
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function createToken(claims, ttl) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttl }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a token's signature, expiry and type
+ * @param {string} token - Signed token
+ * @param {string} type - Expected token type, 'access' or 'refresh'
+ * @returns {Object} Result with claims, or an error code if invalid
+ */
+function verifyToken(token, type) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return { error: 'invalid_token' };
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'invalid_token' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return { error: 'invalid_token' };
+  }
+
+  if (claims.type !== type || !users.has(claims.sub)) {
+    return { error: 'invalid_token' };
+  }
+  if (claims.exp <= Math.floor(Date.now() / 1000)) {
+    return { error: 'token_expired' };
+  }
+  return { claims };
+}
+
+/**
+ * Issue a new access/refresh token pair for a user
+ * @param {Object} user - Registered user
+ * @returns {Object} Token response body
+ */
+function issueTokens(user) {
+  const refreshId = crypto.randomBytes(16).toString('hex');
+  activeRefreshTokens.set(refreshId, Date.now() + REFRESH_TOKEN_TTL * 1000);
+  saveAuthState();
+
+  return {
+    user: publicUser(user),
+    accessToken: createToken({ sub: user.id, username: user.username, type: 'access' }, ACCESS_TOKEN_TTL),
+    refreshToken: createToken({ sub: user.id, type: 'refresh', jti: refreshId }, REFRESH_TOKEN_TTL),
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex salt
+ * @returns {string} Hex hash
+ */
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+/**
+ * Get the fields of a user that are safe to return to clients
+ * @param {Object} user - Registered user
+ * @returns {Object} { id, username, createdAt }
+ */
+function publicUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
+
+/**
+ * Find a registered user by username
+ * @param {string} username - Username
+ * @returns {Object|undefined} Registered user
+ */
+function findUserByUsername(username) {
+  for (const user of users.values()) {
+    if (user.username === username) {
+      return user;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find a registered user by ID
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Registered user
+ */
+function findUserById(userId) {
+  return users.get(userId);
+}
+
+/**
+ * Express middleware that requires a valid access token
+ * Sets req.user to { id, username }. EventSource cannot send headers, so the
+ * token may also be passed as the access_token query parameter.
+ */
+function requireAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.access_token;
+  if (!token) {
+    return res.status(401).json({ error: 'Missing access token', code: 'missing_token' });
+  }
+
+  const { claims, error } = verifyToken(token, 'access');
+  if (error) {
+    return res.status(401).json({
+      error: error === 'token_expired' ? 'Access token expired' : 'Invalid access token',
+      code: error
+    });
+  }
+
+  req.user = { id: claims.sub, username: claims.username };
+  next();
+}
+
+/**
+ * Read and validate username and password from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { username, password } or { error }
+ */
+function readCredentials(body) {
+  const { username, password } = body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return { error: 'Missing required fields: username, password' };
+  }
+  return { username: username.trim().toLowerCase(), password };
+}
+
+const router = express.Router();
+
+// POST endpoint to create an account
+router.post('/register', (req, res) => {
+  const { username, password, error } = readCredentials(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return res.status(400).json({ error: 'Username must be 3-32 characters: letters, digits, _ . -' });
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (findUserByUsername(username)) {
+    return res.status(409).json({ error: 'Username already taken' });
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const user = {
+    id: `user-${crypto.randomBytes(6).toString('hex')}`,
+    username,
+    salt,
+    passwordHash: hashPassword(password, salt),
+    createdAt: new Date().toISOString()
+  };
+  // Saved together with its first refresh token by issueTokens()
+  users.set(user.id, user);
+
+  console.log(`Registered user ${username} (${user.id})`);
+  res.status(201).json(issueTokens(user));
+});
+
+// POST endpoint to exchange credentials for tokens
+router.post('/login', (req, res) => {
+  const { username, password, error } = readCredentials(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const user = findUserByUsername(username);
+  const hash = user ? Buffer.from(hashPassword(password, user.salt)) : null;
+  if (!user || !crypto.timingSafeEqual(hash, Buffer.from(user.passwordHash))) {
+    return res.status(401).json({ error: 'Invalid username or password', code: 'invalid_credentials' });
+  }
+
+  res.json(issueTokens(user));
+});
+
+// POST endpoint to exchange a refresh token for a new token pair
+// Refresh tokens are single-use: each refresh revokes the token it was given
+router.post('/refresh', (req, res) => {
+  const { refreshToken } = req.body || {};
+  const { claims, error } = verifyToken(refreshToken, 'refresh');
+  if (error || !activeRefreshTokens.has(claims.jti)) {
+    return res.status(401).json({ error: 'Invalid refresh token', code: error || 'invalid_token' });
+  }
+
+  activeRefreshTokens.delete(claims.jti);
+  res.json(issueTokens(users.get(claims.sub)));
+});
+
+// POST endpoint to revoke a refresh token
+router.post('/logout', (req, res) => {
+  const { refreshToken } = req.body || {};
+  const { claims } = verifyToken(refreshToken, 'refresh');
+  if (claims && activeRefreshTokens.delete(claims.jti)) {
+    saveAuthState();
+  }
+  res.json({ success: true });
+});
+
+// GET endpoint returning the authenticated user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: publicUser(users.get(req.user.id)) });
+});
+
+module.exports = {
+  router,
+  requireAuth,
+  findUserById,
+  findUserByUsername,
+  publicUser
+};
@@ -0,0 +1,405 @@
+// Contact relationships and per-contact sharing permissions
+const crypto = require('crypto');
+const express = require('express');
+const { requireAuth, findUserById, findUserByUsername, publicUser } = require('./auth');
+const { activeIncident } = require('./emergency');
+const { createStateFile } = require('./stateFile');
+
+// Precision levels a user can grant a contact, with coordinate rounding and reported accuracy
+const PRECISION_LEVELS = {
+  exact: { decimals: null, accuracy: null },
+  approximate: { decimals: 2, accuracy: 1000 }, // ~1 km
+  city: { decimals: 1, accuracy: 10000 }        // ~10 km
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_SETTINGS = {
+  sharing: true,
+  precision: 'exact',
+  allowedHours: null,
+  emergencyContact: false // whether the other member is alerted when this member starts an SOS
+};
+
+// Contact relationships keyed by ID (in production, you'd use a database)
+// Each relationship stores, per member, what that member shares with the other.
+// Saved to data/contacts.json unless LOCATION_STORE=memory
+const contactsState = createStateFile('contacts.json');
+const contacts = new Map(contactsState.load([]).map((contact) => [contact.id, contact]));
+
+/**
+ * Save all contact relationships after a change
+ */
+function saveContacts() {
+  contactsState.save([...contacts.values()]);
+}
+
+/**
+ * Find the relationship between two users
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Object|undefined} Contact relationship
+ */
+function findRelationship(userA, userB) {
+  for (const contact of contacts.values()) {
+    if ((contact.requesterId === userA && contact.addresseeId === userB) ||
+        (contact.requesterId === userB && contact.addresseeId === userA)) {
+      return contact;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the other member of a relationship
+ * @param {Object} contact - Contact relationship
+ * @param {string} userId - One member
+ * @returns {string} The other member's ID
+ */
+function otherMember(contact, userId) {
+  return contact.requesterId === userId ? contact.addresseeId : contact.requesterId;
+}
+
+/**
+ * List the users a user has an accepted relationship with
+ * @param {string} userId - User ID
+ * @returns {Array<string>} Contact user IDs
+ */
+function listContactIds(userId) {
+  return [...contacts.values()]
+    .filter((contact) => contact.status === 'accepted' &&
+      (contact.requesterId === userId || contact.addresseeId === userId))
+    .map((contact) => otherMember(contact, userId));
+}
+
+/**
+ * List the contacts a user designated to be alerted in an emergency
+ * @param {string} userId - User ID
+ * @returns {Array<string>} Emergency contact user IDs
+ */
+function listEmergencyContactIds(userId) {
+  return [...contacts.values()]
+    .filter((contact) => contact.status === 'accepted' && contact.settings[userId] &&
+      contact.settings[userId].emergencyContact)
+    .map((contact) => otherMember(contact, userId));
+}
+
+/**
+ * Describe a relationship from one member's point of view
+ * @param {Object} contact - Contact relationship
+ * @param {string} userId - Member viewing the relationship
+ * @returns {Object} Contact as returned by the API
+ */
+function describeContact(contact, userId) {
+  const otherId = otherMember(contact, userId);
+  return {
+    id: contact.id,
+    status: contact.status,
+    direction: contact.requesterId === userId ? 'outgoing' : 'incoming',
+    contact: publicUser(findUserById(otherId)),
+    mySettings: contact.settings[userId],
+    theirSettings: contact.status === 'accepted' ? contact.settings[otherId] : null,
+    createdAt: contact.createdAt,
+    acceptedAt: contact.acceptedAt
+  };
+}
+
+/**
+ * Get the minutes since midnight in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @returns {number} Minutes since local midnight
+ */
+function minutesInTimeZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find((part) => part.type === 'hour').value, 10);
+  const minute = parseInt(parts.find((part) => part.type === 'minute').value, 10);
+  return hour * 60 + minute;
+}
+
+/**
+ * Parse an HH:MM time into minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes since midnight
+ */
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether the current time is within a sharing window
+ * Windows may wrap past midnight, e.g. 22:00-06:00
+ * @param {Object|null} allowedHours - { start, end, timeZone } or null for any time
+ * @param {Date} now - Current time
+ * @returns {boolean} True if sharing is allowed now
+ */
+function isWithinAllowedHours(allowedHours, now) {
+  if (!allowedHours) {
+    return true;
+  }
+  const current = minutesInTimeZone(now, allowedHours.timeZone || 'UTC');
+  const start = parseTime(allowedHours.start);
+  const end = parseTime(allowedHours.end);
+  return start <= end ?
+    current >= start && current < end :
+    current >= start || current < end;
+}
+
+/**
+ * Decide whether a viewer may see an owner's location, and at what precision
+ * During an active emergency the owner's emergency contacts see the exact location
+ * whatever the owner's sharing settings are.
+ * @param {string} ownerId - User whose location is requested
+ * @param {string} viewerId - User requesting it
+ * @param {Date} now - Current time
+ * @returns {Object} { allowed, precision, emergency, sharing, allowedHours } or
+ *   { allowed: false, code, reason }; sharing and allowedHours decide which fixes
+ *   are visible, see isFixVisible()
+ */
+function sharingDecision(ownerId, viewerId, now = new Date()) {
+  if (ownerId === viewerId) {
+    return { allowed: true, precision: 'exact', sharing: true, allowedHours: null };
+  }
+
+  const contact = findRelationship(ownerId, viewerId);
+  if (!contact || contact.status !== 'accepted') {
+    return { allowed: false, code: 'not_a_contact', reason: 'You are not a contact of this user' };
+  }
+
+  const settings = contact.settings[ownerId];
+  if (settings.emergencyContact && activeIncident(ownerId)) {
+    return { allowed: true, precision: 'exact', emergency: true, sharing: settings.sharing, allowedHours: settings.allowedHours };
+  }
+  if (!settings.sharing) {
+    return { allowed: false, code: 'sharing_disabled', reason: 'This contact is not sharing their location with you' };
+  }
+  if (!isWithinAllowedHours(settings.allowedHours, now)) {
+    return { allowed: false, code: 'outside_allowed_hours', reason: 'This contact only shares their location at certain hours' };
+  }
+  return { allowed: true, precision: settings.precision, sharing: true, allowedHours: settings.allowedHours };
+}
+
+/**
+ * Check whether a viewer may see one particular fix
+ * Allowed hours apply to the time the fix was taken, so asking during allowed hours
+ * doesn't reveal fixes from outside them. During an emergency, fixes sent as part of
+ * it are visible to the emergency contacts as well.
+ * @param {Object} decision - Result of sharingDecision() for the fix's owner and the viewer
+ * @param {Object} location - Stored location
+ * @returns {boolean} True if the viewer may see the fix
+ */
+function isFixVisible(decision, location) {
+  if (!decision.allowed) {
+    return false;
+  }
+  if (decision.emergency && location.emergency) {
+    return true;
+  }
+  return decision.sharing && isWithinAllowedHours(decision.allowedHours, new Date(location.timestamp));
+}
+
+/**
+ * Reduce a location to the precision a contact is allowed to see
+ * @param {Object} location - Stored location
+ * @param {string} precision - Key of PRECISION_LEVELS
+ * @returns {Object} Location with rounded coordinates where required
+ */
+function applyPrecision(location, precision) {
+  const level = PRECISION_LEVELS[precision] || PRECISION_LEVELS.city;
+  const visible = {
+    userId: location.userId,
+    lat: location.lat,
+    lon: location.lon,
+    speed: location.speed,
+    accuracy: location.accuracy,
+    timestamp: location.timestamp,
+    precision
+  };
+
+  if (level.decimals !== null) {
+    const factor = Math.pow(10, level.decimals);
+    visible.lat = Math.round(location.lat * factor) / factor;
+    visible.lon = Math.round(location.lon * factor) / factor;
+    visible.accuracy = Math.max(location.accuracy || 0, level.accuracy);
+    // Speed can reveal movement patterns more precisely than the coarse position
+    visible.speed = null;
+  }
+  return visible;
+}
+
+/**
+ * Validate a settings update
+ * @param {Object} update - Partial settings
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSettings(update) {
+  if (!update || typeof update !== 'object') {
+    return 'Settings must be an object';
+  }
+  if ('sharing' in update && typeof update.sharing !== 'boolean') {
+    return 'sharing must be true or false';
+  }
+  if ('emergencyContact' in update && typeof update.emergencyContact !== 'boolean') {
+    return 'emergencyContact must be true or false';
+  }
+  if ('precision' in update && !PRECISION_LEVELS[update.precision]) {
+    return `precision must be one of: ${Object.keys(PRECISION_LEVELS).join(', ')}`;
+  }
+  if ('allowedHours' in update && update.allowedHours !== null) {
+    const { start, end, timeZone } = update.allowedHours || {};
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      return 'allowedHours needs start and end times as HH:MM';
+    }
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: timeZone || 'UTC' });
+    } catch (error) {
+      return `Unknown time zone: ${timeZone}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create the contacts router
+ * @param {Object} options - { getLatestLocation(userId, filter), getLastSeen(userId) } returning a
+ *   user's newest stored location passing the filter and the ISO time their device last reached the server
+ * @returns {Object} Express router
+ */
+function createContactsRouter({ getLatestLocation, getLastSeen }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // GET endpoint listing the authenticated user's contacts and invitations
+  router.get('/', (req, res) => {
+    const list = [...contacts.values()]
+      .filter((contact) => contact.requesterId === req.user.id || contact.addresseeId === req.user.id)
+      .map((contact) => describeContact(contact, req.user.id));
+    res.json({ contacts: list, count: list.length });
+  });
+
+  // POST endpoint to invite another user by username
+  router.post('/invite', (req, res) => {
+    const { username } = req.body || {};
+    const invitee = typeof username === 'string' ? findUserByUsername(username.trim().toLowerCase()) : undefined;
+    if (!invitee) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (invitee.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot invite yourself' });
+    }
+    if (findRelationship(req.user.id, invitee.id)) {
+      return res.status(409).json({ error: 'Contact or invitation already exists' });
+    }
+
+    const contact = {
+      id: `contact-${crypto.randomBytes(6).toString('hex')}`,
+      requesterId: req.user.id,
+      addresseeId: invitee.id,
+      status: 'pending',
+      settings: {
+        [req.user.id]: { ...DEFAULT_SETTINGS },
+        [invitee.id]: { ...DEFAULT_SETTINGS }
+      },
+      createdAt: new Date().toISOString(),
+      acceptedAt: null
+    };
+    contacts.set(contact.id, contact);
+    saveContacts();
+
+    console.log(`Contact invitation ${contact.id}: ${req.user.username} -> ${invitee.username}`);
+    res.status(201).json({ contact: describeContact(contact, req.user.id) });
+  });
+
+  // POST endpoint to accept an incoming invitation
+  router.post('/:id/accept', (req, res) => {
+    const contact = contacts.get(req.params.id);
+    if (!contact || contact.addresseeId !== req.user.id) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (contact.status === 'pending') {
+      contact.status = 'accepted';
+      contact.acceptedAt = new Date().toISOString();
+      saveContacts();
+    }
+    res.json({ contact: describeContact(contact, req.user.id) });
+  });
+
+  // DELETE endpoint to decline an invitation or remove a contact
+  router.delete('/:id', (req, res) => {
+    const contact = contacts.get(req.params.id);
+    if (!contact || (contact.requesterId !== req.user.id && contact.addresseeId !== req.user.id)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    contacts.delete(contact.id);
+    saveContacts();
+    res.json({ success: true });
+  });
+
+  // PATCH endpoint to change what the authenticated user shares with a contact
+  router.patch('/:id/settings', (req, res) => {
+    const contact = contacts.get(req.params.id);
+    if (!contact || (contact.requesterId !== req.user.id && contact.addresseeId !== req.user.id)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const error = validateSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { sharing, precision, allowedHours, emergencyContact } = req.body;
+    const settings = contact.settings[req.user.id];
+    if (sharing !== undefined) settings.sharing = sharing;
+    if (emergencyContact !== undefined) settings.emergencyContact = emergencyContact;
+    if (precision !== undefined) settings.precision = precision;
+    if (allowedHours !== undefined) {
+      settings.allowedHours = allowedHours && {
+        start: allowedHours.start,
+        end: allowedHours.end,
+        timeZone: allowedHours.timeZone || 'UTC'
+      };
+    }
+    saveContacts();
+
+    res.json({ contact: describeContact(contact, req.user.id) });
+  });
+
+  // GET endpoint returning a contact's latest location, as far as they allow it
+  router.get('/:id/location', (req, res) => {
+    const contact = contacts.get(req.params.id);
+    if (!contact || (contact.requesterId !== req.user.id && contact.addresseeId !== req.user.id)) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const ownerId = otherMember(contact, req.user.id);
+    const decision = sharingDecision(ownerId, req.user.id);
+    if (!decision.allowed) {
+      return res.status(403).json({ error: decision.reason, code: decision.code });
+    }
+
+    const location = getLatestLocation(ownerId, (candidate) => isFixVisible(decision, candidate));
+    if (!location) {
+      return res.status(404).json({ error: 'No location received from this contact yet' });
+    }
+    // A stale location with a recent last-seen time means the contact is staying put
+    res.json({ location: applyPrecision(location, decision.precision), lastSeenAt: getLastSeen(ownerId) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  PRECISION_LEVELS,
+  createContactsRouter,
+  listContactIds,
+  listEmergencyContactIds,
+  sharingDecision,
+  isFixVisible,
+  applyPrecision
+};
@@ -0,0 +1,115 @@
+// Emergency (SOS) incidents and the alerts sent to a user's emergency contacts
+// While an incident is active, the user's emergency contacts see their exact location
+// regardless of their sharing settings, see contacts.sharingDecision()
+const express = require('express');
+const { requireAuth, findUserById } = require('./auth');
+const { validateEmergencyAlert, describeViolations } = require('./validation');
+
+// Incidents keyed by their client-generated ID (in production, you'd use a database)
+const incidents = new Map();
+
+/**
+ * Get a user's active incident
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Active incident
+ */
+function activeIncident(userId) {
+  for (const incident of incidents.values()) {
+    if (incident.userId === userId && incident.status === 'active') {
+      return incident;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Describe an incident for the API
+ * @param {Object} incident - Stored incident
+ * @returns {Object} Incident with the sender's username
+ */
+function describeIncident(incident) {
+  const user = findUserById(incident.userId);
+  return { ...incident, username: user ? user.username : null };
+}
+
+/**
+ * Create the emergency router
+ * @param {Object} options - { getLatestLocation(userId), listEmergencyContactIds(userId), notify(type, incident) }
+ *   where notify delivers an 'emergency_started' or 'emergency_cancelled' alert to the
+ *   incident's recipients
+ * @returns {Object} Express router
+ */
+function createEmergencyRouter({ getLatestLocation, listEmergencyContactIds, notify }) {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // POST endpoint starting an incident and alerting the user's emergency contacts
+  // Retries with the same incidentId are answered without alerting again
+  router.post('/', (req, res) => {
+    const violations = validateEmergencyAlert(req.body);
+    if (violations.length > 0) {
+      return res.status(400).json({ error: describeViolations(violations), code: 'validation_failed', violations });
+    }
+
+    const { incidentId, startedAt } = req.body;
+    const existing = incidents.get(incidentId);
+    if (existing && existing.userId !== req.user.id) {
+      return res.status(409).json({ error: 'Incident ID already in use', code: 'incident_conflict' });
+    }
+    if (existing) {
+      return res.json({ incident: describeIncident(existing), status: 'duplicate' });
+    }
+
+    const active = activeIncident(req.user.id);
+    if (active) {
+      return res.status(409).json({ error: 'Another emergency is already active', code: 'incident_active', incident: describeIncident(active) });
+    }
+
+    const incident = {
+      id: incidentId,
+      userId: req.user.id,
+      status: 'active',
+      startedAt,
+      cancelledAt: null,
+      recipients: listEmergencyContactIds(req.user.id)
+    };
+    incidents.set(incident.id, incident);
+    notify('emergency_started', describeIncident(incident));
+
+    res.status(201).json({ incident: describeIncident(incident), status: 'created' });
+  });
+
+  // POST endpoint ending an incident; the recipients are told it is over
+  router.post('/:id/cancel', (req, res) => {
+    const incident = incidents.get(req.params.id);
+    if (!incident || incident.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (incident.status === 'active') {
+      incident.status = 'cancelled';
+      incident.cancelledAt = new Date().toISOString();
+      notify('emergency_cancelled', describeIncident(incident));
+    }
+    res.json({ incident: describeIncident(incident) });
+  });
+
+  // GET endpoint listing the active incidents the authenticated user was alerted to,
+  // each with the sender's latest location
+  router.get('/alerts', (req, res) => {
+    const alerts = [...incidents.values()]
+      .filter((incident) => incident.status === 'active' && incident.recipients.includes(req.user.id))
+      .map((incident) => ({
+        incident: describeIncident(incident),
+        location: getLatestLocation(incident.userId) || null
+      }));
+    res.json({ alerts, count: alerts.length });
+  });
+
+  return router;
+}
+
+module.exports = {
+  activeIncident,
+  createEmergencyRouter
+};
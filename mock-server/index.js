@@ -1,5 +1,16 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const { renderViewerPage, renderUnavailablePage } = require('./viewer');
+const stream = require('./stream');
+const auth = require('./auth');
+const contacts = require('./contacts');
+const trips = require('./trips');
+const exporters = require('./exporters');
+const validation = require('./validation');
+const presence = require('./presence');
+const emergency = require('./emergency');
+const { createLocationStore, decodeCursor, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./locationStore');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -7,48 +18,641 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
-// Store received locations in memory (in production, you'd use a database)
-let receivedLocations = [];
+// Account registration, login and token refresh
+app.use('/api/auth', auth.router);
+
+// Received locations and geofence events of all users
+// LOCATION_STORE=memory forgets them on restart; by default they are appended to
+// LOCATION_STORE_FILE (mock-server/data/locations.jsonl) and reloaded on start, and
+// accounts and contacts are saved in the same directory (see stateFile.js)
+const locationStore = createLocationStore({
+  backend: process.env.LOCATION_STORE,
+  file: process.env.LOCATION_STORE_FILE
+});
+
+// Share sessions keyed by their management ID
+const shareSessions = new Map();
+
+// Longest share session a client can request
+const MAX_SHARE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Get the newest stored location of a user
+ * @param {string} userId - User ID
+ * @param {Function} filter - Optional predicate the location must pass, e.g. contacts.isFixVisible()
+ * @returns {Object|undefined} Stored location
+ */
+function getLatestLocation(userId, filter) {
+  return locationStore.latest(userId, 'location', filter);
+}
+
+// Maximum number of fixes accepted in a single batch request
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Build the rejection of a payload that names another user than the authenticated one
+ * @returns {Object} { error, code, violations }
+ */
+function userMismatch() {
+  const message = 'userId does not match the authenticated user';
+  return { error: message, code: 'user_mismatch', violations: [{ code: 'user_mismatch', path: 'userId', message }] };
+}
+
+/**
+ * Validate a location update or geofence event and add it to the location store
+ * Fixes are deduplicated on their client-generated ID so replays are safe
+ * @param {Object} locationData - Location payload sent by the client
+ * @param {Object} user - Authenticated user sending the payload
+ * @returns {Object} Result with success flag, status ('created' or 'duplicate'), and
+ *   for rejections an error message, code and violations { code, path, message }
+ */
+function acceptLocation(locationData, user) {
+  const violations = validation.validatePayload(locationData);
+  if (violations.length > 0) {
+    return { success: false, error: validation.describeViolations(violations), code: 'validation_failed', violations };
+  }
+  
+  // Users can only report their own location
+  if (locationData.userId !== user.id) {
+    return { success: false, forbidden: true, ...userMismatch() };
+  }
+  
+  // Even a replayed fix shows the device is still there
+  presence.recordSeen(user.id);
+  
+  const type = locationData.type || 'location';
+  if (locationStore.has(user.id, locationData.id)) {
+    return { success: true, id: locationData.id, status: 'duplicate' };
+  }
+  
+  const entry = {
+    ...locationData,
+    type,
+    receivedAt: new Date().toISOString()
+  };
+  
+  if (type === 'geofence') {
+    console.log(`Geofence ${locationData.event}: ${locationData.placeName || locationData.placeId} (${locationData.userId})`);
+  }
+  locationStore.add(entry);
+  
+  // Push the update to live viewers
+  stream.publish(type, entry);
+  
+  return { success: true, id: locationData.id, status: 'created' };
+}
 
 // POST endpoint to receive location updates
-app.post('/api/location/update', (req, res) => {
+app.post('/api/location/update', auth.requireAuth, (req, res) => {
   const locationData = req.body;
   
   console.log('Received location update:', new Date().toISOString());
   console.log('Payload:', JSON.stringify(locationData, null, 2));
   
-  // Validate required fields
-  if (!locationData.userId || !locationData.lat || !locationData.lon) {
-    return res.status(400).json({ 
-      error: 'Missing required fields: userId, lat, lon' 
-    });
+  const result = acceptLocation(locationData, req.user);
+  if (!result.success) {
+    const { error, code, violations } = result;
+    return res.status(result.forbidden ? 403 : 400).json({ error, code, violations });
   }
   
-  // Add to our in-memory store
-  receivedLocations.push({
-    ...locationData,
+  // Respond with success
+  res.json({ 
+    success: true, 
+    id: result.id,
+    status: result.status,
+    message: result.status === 'duplicate' ? 'Duplicate location update ignored' : 'Location update received',
     receivedAt: new Date().toISOString()
   });
+});
+
+// POST endpoint to receive an ordered batch of location updates
+app.post('/api/location/batch', auth.requireAuth, (req, res) => {
+  const { locations } = req.body || {};
   
-  // Keep only the last 100 locations to prevent memory issues
-  if (receivedLocations.length > 100) {
-    receivedLocations = receivedLocations.slice(-100);
+  if (!Array.isArray(locations)) {
+    return res.status(400).json({
+      error: 'Request body must contain a locations array',
+      code: 'invalid_body',
+      violations: [{ code: 'invalid_type', path: 'locations', message: 'locations must be an array' }]
+    });
   }
   
-  // Respond with success
-  res.json({ 
-    success: true, 
-    message: 'Location update received',
+  if (locations.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({ 
+      error: `Batch too large: maximum ${MAX_BATCH_SIZE} locations per request`,
+      code: 'batch_too_large'
+    });
+  }
+  
+  console.log(`Received batch of ${locations.length} location updates:`, new Date().toISOString());
+  
+  // Process fixes in the order they were sent and report a result for each one
+  const results = locations.map((locationData, index) => {
+    const { forbidden, ...result } = acceptLocation(locationData, req.user);
+    return { index, ...result };
+  });
+  const created = results.filter((result) => result.status === 'created').length;
+  const duplicates = results.filter((result) => result.status === 'duplicate').length;
+  
+  res.json({
+    success: true,
+    accepted: created,
+    duplicates,
+    rejected: results.length - created - duplicates,
+    results,
     receivedAt: new Date().toISOString()
   });
 });
 
-// GET endpoint to retrieve all received locations
-app.get('/api/location/history', (req, res) => {
+// POST endpoint to receive a heartbeat, sent instead of fixes while the user stays put
+app.post('/api/heartbeat', auth.requireAuth, (req, res) => {
+  const heartbeat = req.body;
+  const violations = validation.validateHeartbeat(heartbeat);
+  if (violations.length > 0) {
+    return res.status(400).json({ error: validation.describeViolations(violations), code: 'validation_failed', violations });
+  }
+  if (heartbeat.userId !== req.user.id) {
+    return res.status(403).json(userMismatch());
+  }
+  
+  const lastSeenAt = presence.recordHeartbeat(heartbeat);
+  const battery = heartbeat.batteryLevel !== null && heartbeat.batteryLevel !== undefined
+    ? `${Math.round(heartbeat.batteryLevel * 100)}%` : 'unknown';
+  console.log(`Heartbeat from ${req.user.username}: battery ${battery}, ` +
+    `permissions ${heartbeat.foregroundPermission}/${heartbeat.backgroundPermission}`);
+  
+  res.json({ success: true, lastSeenAt });
+});
+
+/**
+ * Parse a time query parameter given as an ISO date or milliseconds since the epoch
+ * @param {string|undefined} value - Query parameter
+ * @returns {number|null|undefined} Milliseconds, null if absent, undefined if invalid
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const time = /^-?\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Build the error response for an invalid query parameter, in the shape of a payload validation error
+ * @param {string} param - Name of the parameter
+ * @param {string} message - What is wrong with it
+ * @returns {Object} { error, code, violations }
+ */
+function invalidQuery(param, message) {
+  return { error: message, code: 'invalid_query', violations: [{ code: 'invalid_value', path: param, message }] };
+}
+
+/**
+ * Parse the filters of a history query
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { options } for locationStore.query(), or { error, param } naming the invalid parameter
+ */
+function parseHistoryQuery(query) {
+  const from = parseTimeParam(query.from);
+  const to = parseTimeParam(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be ISO dates or milliseconds since the epoch', param: from === undefined ? 'from' : 'to' };
+  }
+  
+  let bbox = null;
+  if (query.bbox !== undefined) {
+    const values = String(query.bbox).split(',').map(Number);
+    const [minLon, minLat, maxLon, maxLat] = values;
+    if (values.length !== 4 || values.some(Number.isNaN) || minLon > maxLon || minLat > maxLat) {
+      return { error: 'bbox must be minLon,minLat,maxLon,maxLat', param: 'bbox' };
+    }
+    bbox = { minLon, minLat, maxLon, maxLat };
+  }
+  
+  const order = query.order || 'asc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc', param: 'order' };
+  }
+  
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`, param: 'limit' };
+  }
+  
+  if (query.cursor !== undefined && !decodeCursor(query.cursor)) {
+    return { error: 'Invalid cursor', param: 'cursor' };
+  }
+  
+  return { options: { from, to, bbox, order, limit, cursor: query.cursor || null } };
+}
+
+/**
+ * Respond with a page of a user's location history, or with all of it as a track file
+ * Other users' history needs their sharing permission and is reduced to the precision they allow.
+ * @param {Object} req - Request with the filters below as query parameters
+ * @param {Object} res - Response
+ * @param {string} userId - User whose history is requested
+ */
+function sendHistory(req, res, userId) {
+  const decision = contacts.sharingDecision(userId, req.user.id);
+  if (!decision.allowed) {
+    return res.status(403).json({ error: decision.reason, code: decision.code });
+  }
+  
+  const { options, error, param } = parseHistoryQuery(req.query);
+  if (error) {
+    return res.status(400).json(invalidQuery(param, error));
+  }
+  const own = userId === req.user.id;
+  const filter = own ? undefined : (location) => contacts.isFixVisible(decision, location);
+  const project = own ? undefined : (location) => contacts.applyPrecision(location, decision.precision);
+  
+  if (req.query.format !== undefined) {
+    const format = exporters.EXPORT_FORMATS[req.query.format];
+    if (!format) {
+      return res.status(400).json(invalidQuery('format',
+        `Unknown format: ${req.query.format}. Use one of: ${Object.keys(exporters.EXPORT_FORMATS).join(', ')}`));
+    }
+    const { items } = locationStore.query({ ...options, userId, filter, project, cursor: null, limit: Infinity });
+    const owner = auth.findUserById(userId);
+    const name = `${owner ? owner.username : userId} location history`;
+    res.type(format.mimeType);
+    res.attachment(`location-history.${format.extension}`);
+    return res.send(format.render(items, name));
+  }
+  
+  const { items, nextCursor } = locationStore.query({ ...options, userId, filter, project });
   res.json({
-    locations: receivedLocations,
-    count: receivedLocations.length
+    locations: items,
+    count: items.length,
+    nextCursor
   });
+}
+
+// GET endpoint to query received locations
+// ?userId= another user's history (needs their sharing permission, at the precision they allow),
+// ?from= and ?to= time range, ?bbox=minLon,minLat,maxLon,maxLat, ?order=asc|desc by fix time,
+// ?limit= page size and ?cursor= the nextCursor of the previous page
+// ?format=gpx|geojson|kml returns every matching location as a track file instead of a page of JSON
+app.get('/api/location/history', auth.requireAuth, (req, res) => {
+  sendHistory(req, res, req.query.userId || req.user.id);
+});
+
+// GET endpoint with one user's location history, with the same filters as /api/location/history
+app.get('/api/users/:id/location/history', auth.requireAuth, (req, res) => {
+  if (!auth.findUserById(req.params.id)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  sendHistory(req, res, req.params.id);
+});
+
+// GET endpoint with one user's most recent fix, at the precision they share with the requester
+app.get('/api/users/:id/location/latest', auth.requireAuth, (req, res) => {
+  const userId = req.params.id;
+  if (!auth.findUserById(userId)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  const decision = contacts.sharingDecision(userId, req.user.id);
+  if (!decision.allowed) {
+    return res.status(403).json({ error: decision.reason, code: decision.code });
+  }
+  
+  const location = getLatestLocation(userId, (candidate) => contacts.isFixVisible(decision, candidate));
+  if (!location) {
+    return res.status(404).json({ error: 'No location received from this user yet' });
+  }
+  res.json({
+    location: userId === req.user.id ? location : contacts.applyPrecision(location, decision.precision),
+    lastSeenAt: presence.getPresence(userId).lastSeenAt
+  });
+});
+
+// GET endpoint with the newest fix of the authenticated user and of every contact sharing
+// with them right now, for a fleet view; users without a fix yet are left out
+app.get('/api/locations/latest', auth.requireAuth, (req, res) => {
+  const locations = [];
+  for (const userId of [req.user.id, ...contacts.listContactIds(req.user.id)]) {
+    const decision = contacts.sharingDecision(userId, req.user.id);
+    const location = decision.allowed ?
+      getLatestLocation(userId, (candidate) => contacts.isFixVisible(decision, candidate)) : undefined;
+    if (location) {
+      const user = auth.findUserById(userId);
+      locations.push({
+        ...(userId === req.user.id ? location : contacts.applyPrecision(location, decision.precision)),
+        username: user ? user.username : null
+      });
+    }
+  }
+  res.json({ locations, count: locations.length });
+});
+
+// GET endpoint with the authenticated user's recent trips, computed from received fixes
+// ?limit=N caps the number of trips, ?includeStays=true adds the stays between them
+app.get('/api/trips', auth.requireAuth, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const segments = trips.segmentLocations(
+    locationStore.query({ userId: req.user.id, limit: Infinity }).items
+  ).reverse();
+  
+  const recentTrips = segments.filter((segment) => segment.type === 'trip').slice(0, limit);
+  const response = { trips: recentTrips, count: recentTrips.length };
+  if (req.query.includeStays === 'true') {
+    response.stays = segments.filter((segment) => segment.type === 'stay').slice(0, limit);
+  }
+  res.json(response);
+});
+
+// GET endpoint streaming a user's accepted updates as Server-Sent Events
+// Contacts only receive updates while the user's sharing settings allow it
+app.get('/api/location/stream', auth.requireAuth, (req, res) => {
+  const userId = req.query.userId || req.user.id;
+  const decision = contacts.sharingDecision(userId, req.user.id);
+  if (!decision.allowed) {
+    return res.status(403).json({ error: decision.reason, code: decision.code });
+  }
+  
+  stream.subscribe(req, res, {
+    filter: (event) => event.userId === userId &&
+      (userId === req.user.id || event.type === 'location') &&
+      contacts.isFixVisible(contacts.sharingDecision(userId, req.user.id), event.data),
+    transform: (event) => (userId === req.user.id ? event.data :
+      contacts.applyPrecision(event.data, contacts.sharingDecision(userId, req.user.id).precision))
+  });
+});
+
+/**
+ * Describe a user's presence with their username, as the requester may see it
+ * Users see their own status in full. Contacts see it computed from the fixes their
+ * sharing settings let them see, without the device's battery and permissions, and
+ * without the speed-derived motion state unless they get the exact location.
+ * @param {string} userId - User ID
+ * @param {string} viewerId - ID of the authenticated user
+ * @returns {Object} Presence from presence.describePresence() plus username, trimmed for contacts
+ */
+function userStatus(userId, viewerId) {
+  const user = auth.findUserById(userId);
+  const username = user ? user.username : null;
+  if (userId === viewerId) {
+    return { ...presence.describePresence(userId, getLatestLocation(userId)), username };
+  }
+
+  const decision = contacts.sharingDecision(userId, viewerId);
+  const status = presence.describePresence(
+    userId,
+    getLatestLocation(userId, (candidate) => contacts.isFixVisible(decision, candidate))
+  );
+  return {
+    userId,
+    username,
+    state: status.state,
+    lastSeenAt: status.lastSeenAt,
+    lastFixAt: status.lastFixAt,
+    staleSince: status.staleSince,
+    motionState: decision.precision === 'exact' ? status.motionState : null
+  };
+}
+
+// GET endpoint listing the presence of the authenticated user and the contacts sharing with them
+// ?state=live|stationary|stale|offline only returns users in that state
+app.get('/api/users/status', auth.requireAuth, (req, res) => {
+  if (req.query.state !== undefined && !presence.PRESENCE_STATES.includes(req.query.state)) {
+    return res.status(400).json(invalidQuery('state', `state must be one of: ${presence.PRESENCE_STATES.join(', ')}`));
+  }
+  
+  const users = [req.user.id, ...contacts.listContactIds(req.user.id)]
+    .filter((userId) => contacts.sharingDecision(userId, req.user.id).allowed)
+    .map((userId) => userStatus(userId, req.user.id))
+    .filter((status) => req.query.state === undefined || status.state === req.query.state);
+  res.json({ users, count: users.length });
+});
+
+// GET endpoint with one user's presence: live, stationary, stale or offline
+// Contacts see it while the user's sharing settings allow them to see their location
+app.get('/api/users/:id/status', auth.requireAuth, (req, res) => {
+  if (!auth.findUserById(req.params.id)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  const decision = contacts.sharingDecision(req.params.id, req.user.id);
+  if (!decision.allowed) {
+    return res.status(403).json({ error: decision.reason, code: decision.code });
+  }
+  res.json({ status: userStatus(req.params.id, req.user.id) });
+});
+
+// Contacts, invitations and per-contact sharing settings
+app.use('/api/contacts', contacts.createContactsRouter({
+  getLatestLocation,
+  getLastSeen: (userId) => presence.getPresence(userId).lastSeenAt
+}));
+
+/**
+ * Deliver an SOS alert to the incident's emergency contacts
+ * Posts the alert to EMERGENCY_WEBHOOK if set (e.g. a push or SMS gateway), otherwise only logs it.
+ * @param {string} type - 'emergency_started' or 'emergency_cancelled'
+ * @param {Object} incident - Incident with the sender's username
+ * @returns {Promise<void>}
+ */
+async function sendEmergencyAlert(type, incident) {
+  const recipients = incident.recipients.map((id) => {
+    const user = auth.findUserById(id);
+    return { id, username: user ? user.username : null };
+  });
+  const alert = { event: type, incident, recipients, location: getLatestLocation(incident.userId) || null };
+  console.warn(`Emergency alert (${type}): ${incident.username || incident.userId} -> ` +
+    `${recipients.map((recipient) => recipient.username || recipient.id).join(', ') || 'no emergency contacts'}`);
+
+  if (process.env.EMERGENCY_WEBHOOK) {
+    const response = await fetch(process.env.EMERGENCY_WEBHOOK, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+}
+
+// SOS incidents and the alerts to each user's emergency contacts
+app.use('/api/emergency', emergency.createEmergencyRouter({
+  getLatestLocation,
+  listEmergencyContactIds: contacts.listEmergencyContactIds,
+  notify: (type, incident) => {
+    sendEmergencyAlert(type, incident).catch((error) => {
+      console.error(`Emergency alert for ${incident.id} failed:`, error.message);
+    });
+  }
+}));
+
+// GET endpoint to retrieve the authenticated user's geofence events
+app.get('/api/events', auth.requireAuth, (req, res) => {
+  const events = locationStore.query({ userId: req.user.id, type: 'geofence', limit: Infinity }).items;
+  res.json({
+    events,
+    count: events.length
+  });
+});
+
+/**
+ * Find a share session by its viewer token
+ * @param {string} token - Viewer token from the share URL
+ * @returns {Object|undefined} Share session
+ */
+function findShareSessionByToken(token) {
+  for (const session of shareSessions.values()) {
+    if (session.token === token) {
+      return session;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check whether a location was sent while a share session was running
+ * Viewers only see fixes sent since the session started, never the history before it.
+ * @param {Object} session - Share session
+ * @param {Object} location - Stored location
+ * @returns {boolean} True if the location may be shown to the session's viewers
+ */
+function isSharedLocation(session, location) {
+  return location.userId === session.userId && location.receivedAt >= session.createdAt;
+}
+
+/**
+ * Reduce a stored location to the fields anonymous share viewers get
+ * @param {Object} location - Stored location
+ * @returns {Object} { lat, lon, speed, accuracy, timestamp }
+ */
+function shareViewLocation({ lat, lon, speed, accuracy, timestamp }) {
+  return { lat, lon, speed, accuracy, timestamp };
+}
+
+/**
+ * Get the reason a share session can no longer be viewed
+ * @param {Object} session - Share session
+ * @returns {string|null} 'revoked', 'expired', or null if still valid
+ */
+function shareSessionEndReason(session) {
+  if (session.revokedAt) {
+    return 'revoked';
+  }
+  if (session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now()) {
+    return 'expired';
+  }
+  return null;
+}
+
+// POST endpoint to create a time-limited share session
+app.post('/api/share', auth.requireAuth, (req, res) => {
+  const { userId = req.user.id, duration } = req.body || {};
+  
+  if (userId !== req.user.id) {
+    return res.status(403).json({ error: 'userId does not match the authenticated user' });
+  }
+  
+  if (duration !== null && duration !== undefined &&
+      (typeof duration !== 'number' || duration <= 0 || duration > MAX_SHARE_DURATION)) {
+    return res.status(400).json({ 
+      error: `duration must be null or a number of milliseconds up to ${MAX_SHARE_DURATION}` 
+    });
+  }
+  
+  const now = new Date();
+  const session = {
+    id: crypto.randomBytes(8).toString('hex'),
+    token: crypto.randomBytes(16).toString('hex'),
+    userId,
+    createdAt: now.toISOString(),
+    expiresAt: duration ? new Date(now.getTime() + duration).toISOString() : null,
+    revokedAt: null
+  };
+  shareSessions.set(session.id, session);
+  
+  console.log(`Share session ${session.id} created for ${userId}, expires ${session.expiresAt || 'when stopped'}`);
+  
+  res.status(201).json({
+    success: true,
+    session: {
+      id: session.id,
+      url: `${req.protocol}://${req.get('host')}/share/${session.token}`,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt
+    }
+  });
+});
+
+// DELETE endpoint to revoke a share session
+app.delete('/api/share/:id', auth.requireAuth, (req, res) => {
+  const session = shareSessions.get(req.params.id);
+  if (!session || session.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Share session not found' });
+  }
+  
+  session.revokedAt = session.revokedAt || new Date().toISOString();
+  console.log(`Share session ${session.id} revoked`);
+  
+  res.json({ success: true, revokedAt: session.revokedAt });
+});
+
+// GET endpoint with the latest position and trail of a share session
+app.get('/api/share/:token/locations', (req, res) => {
+  const session = findShareSessionByToken(req.params.token);
+  if (!session) {
+    return res.status(404).json({ error: 'Share session not found' });
+  }
+  
+  const reason = shareSessionEndReason(session);
+  if (reason) {
+    return res.status(410).json({ error: `Share session ${reason}`, reason });
+  }
+  
+  const trail = locationStore.query({ userId: session.userId, limit: Infinity }).items
+    .filter((location) => isSharedLocation(session, location))
+    .map(shareViewLocation);
+  
+  res.json({
+    latest: trail.length > 0 ? trail[trail.length - 1] : null,
+    trail,
+    expiresAt: session.expiresAt,
+    lastEventId: stream.getLastEventId()
+  });
+});
+
+// GET endpoint streaming a share session's location updates as Server-Sent Events
+app.get('/api/share/:token/stream', (req, res) => {
+  const session = findShareSessionByToken(req.params.token);
+  if (!session) {
+    return res.status(404).json({ error: 'Share session not found' });
+  }
+  
+  const reason = shareSessionEndReason(session);
+  if (reason) {
+    return res.status(410).json({ error: `Share session ${reason}`, reason });
+  }
+  
+  // Same fixes and fields as /api/share/:token/locations, also when replaying with lastEventId
+  stream.subscribe(req, res, {
+    filter: (event) => event.type === 'location' &&
+      isSharedLocation(session, event.data) &&
+      !shareSessionEndReason(session),
+    transform: (event) => shareViewLocation(event.data),
+    endReason: () => shareSessionEndReason(session)
+  });
+});
+
+// GET endpoint serving the browser viewer for a share link
+app.get('/share/:token', (req, res) => {
+  const session = findShareSessionByToken(req.params.token);
+  if (!session) {
+    return res.status(404).type('html').send(renderUnavailablePage('not_found'));
+  }
+  
+  const reason = shareSessionEndReason(session);
+  if (reason) {
+    return res.status(410).type('html').send(renderUnavailablePage(reason));
+  }
+  
+  res.type('html').send(renderViewerPage(session.token));
 });
 
 // GET endpoint for health check
@@ -56,13 +660,86 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Mock server listening at http://localhost:${PORT}`);
-  console.log('Endpoints:');
-  console.log(`  POST  http://localhost:${PORT}/api/location/update`);
-  console.log(`  GET   http://localhost:${PORT}/api/location/history`);
-  console.log(`  GET   http://localhost:${PORT}/health`);
+/**
+ * Report a user who has been stale for too long
+ * Posts the status to STALE_ALERT_WEBHOOK if set, otherwise only logs it.
+ * @param {Object} status - User status with staleFor in milliseconds
+ * @returns {Promise<void>}
+ */
+async function sendStaleAlert(status) {
+  const user = auth.findUserById(status.userId);
+  const alert = { event: 'user_stale', ...status, username: user ? user.username : null };
+  console.warn(`Stale alert: ${alert.username || status.userId} is ${status.state}, last seen ${status.lastSeenAt}`);
+  
+  if (process.env.STALE_ALERT_WEBHOOK) {
+    const response = await fetch(process.env.STALE_ALERT_WEBHOOK, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+}
+
+// Optional alert for users stale longer than STALE_ALERT_AFTER minutes
+if (process.env.STALE_ALERT_AFTER) {
+  const minutes = Number(process.env.STALE_ALERT_AFTER);
+  if (!(minutes >= 0)) {
+    throw new Error(`STALE_ALERT_AFTER must be a number of minutes, got: ${process.env.STALE_ALERT_AFTER}`);
+  }
+  presence.startStaleMonitor({ alertAfter: minutes * 60 * 1000, getLatestLocation, onAlert: sendStaleAlert });
+  console.log(`Stale alerts after ${minutes} minutes${process.env.STALE_ALERT_WEBHOOK ? ` to ${process.env.STALE_ALERT_WEBHOOK}` : ''}`);
+}
+
+// Bodies that are not valid JSON get a validation error instead of Express's HTML error page
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') {
+    return next(err);
+  }
+  const message = `Request body is not valid JSON: ${err.message}`;
+  res.status(400).json({ error: message, code: 'invalid_json', violations: [{ code: 'invalid_json', path: '', message }] });
 });
 
+// Start the server when run directly; tests require the app and listen on their own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock server listening at http://localhost:${PORT}`);
+    console.log('Endpoints:');
+    console.log(`  POST  http://localhost:${PORT}/api/auth/register`);
+    console.log(`  POST  http://localhost:${PORT}/api/auth/login`);
+    console.log(`  POST  http://localhost:${PORT}/api/auth/refresh`);
+    console.log(`  POST  http://localhost:${PORT}/api/auth/logout`);
+    console.log(`  GET   http://localhost:${PORT}/api/auth/me`);
+    console.log(`  POST  http://localhost:${PORT}/api/location/update`);
+    console.log(`  POST  http://localhost:${PORT}/api/location/batch`);
+    console.log(`  POST  http://localhost:${PORT}/api/heartbeat`);
+    console.log(`  GET   http://localhost:${PORT}/api/location/history`);
+    console.log(`  GET   http://localhost:${PORT}/api/location/stream`);
+    console.log(`  GET   http://localhost:${PORT}/api/trips`);
+    console.log(`  GET   http://localhost:${PORT}/api/events`);
+    console.log(`  GET   http://localhost:${PORT}/api/users/status`);
+    console.log(`  GET   http://localhost:${PORT}/api/users/:id/status`);
+    console.log(`  GET   http://localhost:${PORT}/api/users/:id/location/latest`);
+    console.log(`  GET   http://localhost:${PORT}/api/users/:id/location/history`);
+    console.log(`  GET   http://localhost:${PORT}/api/locations/latest`);
+    console.log(`  GET   http://localhost:${PORT}/api/contacts`);
+    console.log(`  POST  http://localhost:${PORT}/api/contacts/invite`);
+    console.log(`  POST  http://localhost:${PORT}/api/contacts/:id/accept`);
+    console.log(`  PATCH http://localhost:${PORT}/api/contacts/:id/settings`);
+    console.log(`  GET   http://localhost:${PORT}/api/contacts/:id/location`);
+    console.log(`  DEL   http://localhost:${PORT}/api/contacts/:id`);
+    console.log(`  POST  http://localhost:${PORT}/api/emergency`);
+    console.log(`  POST  http://localhost:${PORT}/api/emergency/:id/cancel`);
+    console.log(`  GET   http://localhost:${PORT}/api/emergency/alerts`);
+    console.log(`  POST  http://localhost:${PORT}/api/share`);
+    console.log(`  DEL   http://localhost:${PORT}/api/share/:id`);
+    console.log(`  GET   http://localhost:${PORT}/api/share/:token/locations`);
+    console.log(`  GET   http://localhost:${PORT}/api/share/:token/stream`);
+    console.log(`  GET   http://localhost:${PORT}/share/:token`);
+    console.log(`  GET   http://localhost:${PORT}/health`);
+  });
+}
+
 module.exports = app;
\ No newline at end of file
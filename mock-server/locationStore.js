@@ -0,0 +1,242 @@
+// Durable store for received locations and geofence events
+// Entries are indexed in memory per user and ordered by fix time; a pluggable
+// backend decides whether they also survive a restart
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'locations.jsonl');
+
+// Page size of query() when no limit is given, and the largest page a client can ask for
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Backend that keeps nothing beyond the in-memory index; entries are lost on restart
+ * @returns {Object} Backend { name, load, append }
+ */
+function createMemoryBackend() {
+  return {
+    name: 'memory',
+    load: () => [],
+    append: () => {}
+  };
+}
+
+/**
+ * Backend that appends every entry to a JSON-lines file and reads it back on start
+ * A line cut short by a crash is skipped with a warning instead of failing the load.
+ * @param {string} file - Path of the JSON-lines file
+ * @returns {Object} Backend { name, load, append }
+ */
+function createJsonLinesBackend(file) {
+  return {
+    name: `jsonl (${file})`,
+    load() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      if (!fs.existsSync(file)) {
+        return [];
+      }
+
+      const content = fs.readFileSync(file, 'utf8');
+      const entries = [];
+      content.split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+          return;
+        }
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          console.warn(`Skipping unreadable line ${index + 1} of ${file}`);
+        }
+      });
+
+      // Start new entries on their own line after a partially written one
+      if (content.length > 0 && !content.endsWith('\n')) {
+        fs.appendFileSync(file, '\n');
+      }
+      return entries;
+    },
+    append(entry) {
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    }
+  };
+}
+
+// Available backends, selected with LOCATION_STORE
+const BACKENDS = {
+  memory: () => createMemoryBackend(),
+  jsonl: (options) => createJsonLinesBackend(options.file || DEFAULT_FILE)
+};
+
+/**
+ * Encode the position after a record as an opaque pagination cursor
+ * @param {Object} record - Indexed record { time, seq }
+ * @returns {string} Cursor
+ */
+function encodeCursor(record) {
+  return Buffer.from(`${record.time}:${record.seq}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor returned by query()
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} { time, seq }, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  const match = /^(-?\d+):(\d+)$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+  return match ? { time: Number(match[1]), seq: Number(match[2]) } : null;
+}
+
+/**
+ * Compare two records by fix time, then by arrival
+ * @returns {number} Negative if a comes first
+ */
+function compareRecords(a, b) {
+  return a.time - b.time || a.seq - b.seq;
+}
+
+/**
+ * Create a location store
+ * @param {Object} options - { backend: 'jsonl' | 'memory', file } where file is
+ *   the JSON-lines path (default mock-server/data/locations.jsonl)
+ * @returns {Object} Store with add(), has(), latest(), query() and count()
+ */
+function createLocationStore(options = {}) {
+  const backendName = options.backend || 'jsonl';
+  if (!BACKENDS[backendName]) {
+    throw new Error(`Unknown location store: ${backendName}. Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  const backend = BACKENDS[backendName](options);
+
+  // Records { entry, time, seq } per user, sorted by compareRecords()
+  const recordsByUser = new Map();
+  // Entries by user and fix ID, used to deduplicate client retries
+  const entriesByKey = new Map();
+  let nextSeq = 0;
+
+  /**
+   * Add an entry to the in-memory index
+   * @param {Object} entry - Stored location or event
+   */
+  function index(entry) {
+    const parsed = Date.parse(entry.timestamp);
+    const record = {
+      entry,
+      time: Number.isNaN(parsed) ? Date.parse(entry.receivedAt) : parsed,
+      seq: nextSeq++
+    };
+
+    if (!recordsByUser.has(entry.userId)) {
+      recordsByUser.set(entry.userId, []);
+    }
+    const records = recordsByUser.get(entry.userId);
+    // Fixes mostly arrive in order, so search for the insert position from the end
+    let position = records.length;
+    while (position > 0 && compareRecords(records[position - 1], record) > 0) {
+      position--;
+    }
+    records.splice(position, 0, record);
+    entriesByKey.set(`${entry.userId}:${entry.id}`, entry);
+  }
+
+  const loaded = backend.load();
+  loaded.forEach(index);
+  console.log(`Location store: ${backend.name}, ${loaded.length} entries loaded`);
+
+  return {
+    /**
+     * Check whether a user's fix ID was already stored
+     * @param {string} userId - User ID
+     * @param {string} id - Client-generated fix ID
+     * @returns {boolean} True if stored
+     */
+    has(userId, id) {
+      return entriesByKey.has(`${userId}:${id}`);
+    },
+
+    /**
+     * Store an entry
+     * @param {Object} entry - Location or event with userId, id and timestamp
+     */
+    add(entry) {
+      backend.append(entry);
+      index(entry);
+    },
+
+    /**
+     * Get a user's newest entry of a type by fix time
+     * @param {string} userId - User ID
+     * @param {string} type - 'location' or 'geofence'
+     * @param {Function} filter - Optional predicate the entry must pass
+     * @returns {Object|undefined} Stored entry
+     */
+    latest(userId, type = 'location', filter = () => true) {
+      const records = recordsByUser.get(userId) || [];
+      for (let i = records.length - 1; i >= 0; i--) {
+        if ((records[i].entry.type || 'location') === type && filter(records[i].entry)) {
+          return records[i].entry;
+        }
+      }
+      return undefined;
+    },
+
+    /**
+     * Query a user's entries
+     * @param {Object} query - { userId, type, from, to, bbox, order, limit, cursor, filter, project }
+     *   where from/to are milliseconds (from inclusive, to exclusive), bbox is
+     *   { minLon, minLat, maxLon, maxLat }, order is 'asc' or 'desc' by fix time,
+     *   limit is the page size (Infinity for all), cursor is the nextCursor of the
+     *   previous page, filter leaves out stored entries it returns false for (e.g. ones the
+     *   requester may not see) and project maps each entry before the bbox filter (e.g. to
+     *   reduce its precision)
+     * @returns {Object} { items, nextCursor } where nextCursor is null on the last page
+     */
+    query({ userId, type = 'location', from = null, to = null, bbox = null, order = 'asc', limit = DEFAULT_PAGE_SIZE,
+      cursor = null, filter = () => true, project = (entry) => entry }) {
+      const records = recordsByUser.get(userId) || [];
+      const descending = order === 'desc';
+      const after = cursor ? decodeCursor(cursor) : null;
+      const items = [];
+      let last = null;
+
+      for (let i = 0; i < records.length; i++) {
+        const record = records[descending ? records.length - 1 - i : i];
+        if (after && (descending ? compareRecords(record, after) >= 0 : compareRecords(record, after) <= 0)) {
+          continue;
+        }
+        if ((record.entry.type || 'location') !== type ||
+            (from !== null && record.time < from) ||
+            (to !== null && record.time >= to) ||
+            !filter(record.entry)) {
+          continue;
+        }
+
+        const item = project(record.entry);
+        if (bbox && (item.lon < bbox.minLon || item.lon > bbox.maxLon || item.lat < bbox.minLat || item.lat > bbox.maxLat)) {
+          continue;
+        }
+        if (items.length === limit) {
+          return { items, nextCursor: encodeCursor(last) };
+        }
+        items.push(item);
+        last = record;
+      }
+      return { items, nextCursor: null };
+    },
+
+    /**
+     * Count stored entries of all users
+     * @returns {number} Number of entries
+     */
+    count() {
+      return entriesByKey.size;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  createLocationStore,
+  decodeCursor
+};
@@ -0,0 +1,34 @@
+// Motion classes and the speed bands separating them, shared by trip segmentation and presence
+// Mirrors SPEED_THRESHOLDS in src/services/trackingProfiles.js
+
+// Motion classes from slowest to fastest
+const MOTION_CLASSES = ['STILL', 'WALKING', 'BIKE', 'VEHICLE'];
+
+// Upper speed of each class but the fastest
+const SPEED_THRESHOLDS = {
+  STILL: 0.5,     // m/s
+  WALKING: 2.0,   // m/s
+  BIKE: 6.0       // m/s
+};
+
+/**
+ * Get the motion class for a speed
+ * @param {number|null} speed - Speed in m/s; a missing speed counts as standing still
+ * @returns {string} 'STILL', 'WALKING', 'BIKE' or 'VEHICLE'
+ */
+function motionClassFromSpeed(speed) {
+  if (!(speed >= SPEED_THRESHOLDS.STILL)) {
+    return 'STILL';
+  } else if (speed < SPEED_THRESHOLDS.WALKING) {
+    return 'WALKING';
+  } else if (speed < SPEED_THRESHOLDS.BIKE) {
+    return 'BIKE';
+  }
+  return 'VEHICLE';
+}
+
+module.exports = {
+  MOTION_CLASSES,
+  SPEED_THRESHOLDS,
+  motionClassFromSpeed
+};
@@ -0,0 +1,173 @@
+// Last-seen times, the latest heartbeat and the presence state of each user
+// Any payload from a device counts as a sign of life; heartbeats also report
+// battery and permission state, so a phone that stays put can be told from one that is gone
+
+const { motionClassFromSpeed } = require('./motion');
+
+// Presence states, from most to least recently heard from:
+// live - sending fixes at the interval expected for how fast they move
+// stationary - heard from within the expected interval, but not moving
+// stale - overdue by more than the grace period
+// offline - not heard from for several intervals, or never
+const PRESENCE_STATES = ['live', 'stationary', 'stale', 'offline'];
+
+// Longest expected silence when the client doesn't report its heartbeat interval
+// (the STILL interval of the app's default Balanced profile)
+const DEFAULT_EXPECTED_INTERVAL = 15 * 60 * 1000;
+
+// Up to half an interval late still counts as on time; after this many intervals a user is offline
+const GRACE_FACTOR = 1.5;
+const OFFLINE_FACTOR = 4;
+
+// Presence entries keyed by user ID: { lastSeenAt, lastHeartbeat, alerted }
+const presence = new Map();
+
+/**
+ * Get or create a user's presence entry
+ * @param {string} userId - User ID
+ * @returns {Object} Presence entry
+ */
+function entryFor(userId) {
+  if (!presence.has(userId)) {
+    presence.set(userId, { lastSeenAt: null, lastHeartbeat: null, alerted: false });
+  }
+  return presence.get(userId);
+}
+
+/**
+ * Record that a user's device reached the server
+ * @param {string} userId - User ID
+ * @param {string} seenAt - ISO time of contact (default now)
+ * @returns {string} The user's last-seen time
+ */
+function recordSeen(userId, seenAt = new Date().toISOString()) {
+  const entry = entryFor(userId);
+  if (!entry.lastSeenAt || seenAt > entry.lastSeenAt) {
+    entry.lastSeenAt = seenAt;
+  }
+  // A new stale period will alert again
+  entry.alerted = false;
+  return entry.lastSeenAt;
+}
+
+/**
+ * Record a validated heartbeat
+ * @param {Object} heartbeat - Heartbeat payload, see validation.validateHeartbeat()
+ * @returns {string} The user's last-seen time
+ */
+function recordHeartbeat(heartbeat) {
+  const receivedAt = new Date().toISOString();
+  const { type, userId, ...details } = heartbeat;
+  entryFor(userId).lastHeartbeat = { ...details, receivedAt };
+  return recordSeen(userId, receivedAt);
+}
+
+/**
+ * Get a user's presence
+ * @param {string} userId - User ID
+ * @returns {Object} { lastSeenAt, lastHeartbeat }, both null if the user was never seen
+ */
+function getPresence(userId) {
+  const entry = presence.get(userId);
+  return entry ? { lastSeenAt: entry.lastSeenAt, lastHeartbeat: entry.lastHeartbeat } :
+    { lastSeenAt: null, lastHeartbeat: null };
+}
+
+/**
+ * Compute a user's presence state
+ * The expected interval is how often the user's app promises to get in touch while
+ * tracking: its heartbeat interval, since a heartbeat follows at the latest that long
+ * after the last fix. Whether a moving user's fixes are on time is judged by the send
+ * interval the app reported with the newest fix, which follows its profile and settings.
+ * @param {string} userId - User ID
+ * @param {Object|undefined} latestLocation - The user's newest stored location
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { userId, state, lastSeenAt, lastFixAt, expectedInterval, staleSince,
+ *   motionState, battery, permissions } where staleSince is null unless stale or offline and
+ *   battery and permissions come from the last heartbeat (null before the first one)
+ */
+function describePresence(userId, latestLocation, now = Date.now()) {
+  const { lastSeenAt, lastHeartbeat } = getPresence(userId);
+  const expectedInterval = (lastHeartbeat && lastHeartbeat.heartbeatInterval) || DEFAULT_EXPECTED_INTERVAL;
+  const lastFixAt = latestLocation ? latestLocation.timestamp : null;
+
+  // Whichever is newer tells how the user is moving
+  const fixTime = lastFixAt ? Date.parse(lastFixAt) : 0;
+  const heartbeatTime = lastHeartbeat ? Date.parse(lastHeartbeat.receivedAt) : 0;
+  let motionState = null;
+  if (fixTime > heartbeatTime) {
+    motionState = motionClassFromSpeed(latestLocation.speed);
+  } else if (lastHeartbeat) {
+    motionState = lastHeartbeat.motionState || 'STILL';
+  }
+
+  const silence = lastSeenAt ? now - Date.parse(lastSeenAt) : Infinity;
+  let state;
+  if (silence > expectedInterval * OFFLINE_FACTOR) {
+    state = 'offline';
+  } else if (silence > expectedInterval * GRACE_FACTOR) {
+    state = 'stale';
+  } else if (motionState && motionState !== 'STILL' &&
+      now - fixTime <= ((latestLocation && latestLocation.expectedInterval) || expectedInterval) * GRACE_FACTOR) {
+    state = 'live';
+  } else {
+    state = 'stationary';
+  }
+
+  return {
+    userId,
+    state,
+    lastSeenAt,
+    lastFixAt,
+    expectedInterval,
+    staleSince: lastSeenAt && (state === 'stale' || state === 'offline') ?
+      new Date(Date.parse(lastSeenAt) + expectedInterval * GRACE_FACTOR).toISOString() : null,
+    motionState,
+    battery: lastHeartbeat ? {
+      level: lastHeartbeat.batteryLevel ?? null,
+      state: lastHeartbeat.batteryState || 'unknown',
+      lowPowerMode: Boolean(lastHeartbeat.lowPowerMode)
+    } : null,
+    permissions: lastHeartbeat ? {
+      foreground: lastHeartbeat.foregroundPermission,
+      background: lastHeartbeat.backgroundPermission
+    } : null
+  };
+}
+
+/**
+ * Check every user ever seen for ones stale longer than a limit and alert once per stale period
+ * @param {Object} options - { alertAfter, getLatestLocation(userId), onAlert(status), checkEvery }
+ *   where alertAfter and checkEvery (default 1 minute) are milliseconds and onAlert
+ *   receives the result of describePresence() plus staleFor in milliseconds
+ * @returns {Object} Interval timer; it doesn't keep the process alive
+ */
+function startStaleMonitor({ alertAfter, getLatestLocation, onAlert, checkEvery = 60 * 1000 }) {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [userId, entry] of presence) {
+      if (entry.alerted) {
+        continue;
+      }
+      const status = describePresence(userId, getLatestLocation(userId), now);
+      const staleFor = status.staleSince ? now - Date.parse(status.staleSince) : 0;
+      if (staleFor >= alertAfter) {
+        entry.alerted = true;
+        Promise.resolve(onAlert({ ...status, staleFor })).catch((error) => {
+          console.error(`Stale alert for ${userId} failed:`, error.message);
+        });
+      }
+    }
+  }, checkEvery);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  PRESENCE_STATES,
+  recordSeen,
+  recordHeartbeat,
+  getPresence,
+  describePresence,
+  startStaleMonitor
+};
@@ -0,0 +1,60 @@
+// JSON files for the records kept next to the location store: accounts, refresh
+// tokens and contacts. They follow LOCATION_STORE, so the memory store keeps them in
+// memory only and the default store saves them beside LOCATION_STORE_FILE.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, 'data');
+
+/**
+ * Create a state file that is read once on start and rewritten on every change
+ * @param {string} name - File name inside the data directory, e.g. 'contacts.json'
+ * @returns {Object} { load(fallback), save(value) }; both do nothing with LOCATION_STORE=memory
+ */
+function createStateFile(name) {
+  if (process.env.LOCATION_STORE === 'memory') {
+    return {
+      load: (fallback) => fallback,
+      save: () => {}
+    };
+  }
+
+  const directory = process.env.LOCATION_STORE_FILE
+    ? path.dirname(process.env.LOCATION_STORE_FILE)
+    : DEFAULT_DIRECTORY;
+  const file = path.join(directory, name);
+
+  return {
+    /**
+     * Read the saved value
+     * @param {*} fallback - Value used when the file is missing or unreadable
+     * @returns {*} Saved value or fallback
+     */
+    load(fallback) {
+      if (!fs.existsSync(file)) {
+        return fallback;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.warn(`Ignoring unreadable ${file}: ${error.message}`);
+        return fallback;
+      }
+    },
+
+    /**
+     * Replace the saved value
+     * Writes a temporary file and renames it, so a crash leaves the previous version.
+     * The files hold password hashes and the signing secret, so only the owner may read them.
+     * @param {*} value - JSON-serialisable value
+     */
+    save(value) {
+      fs.mkdirSync(directory, { recursive: true });
+      const temporary = `${file}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify(value), { mode: 0o600 });
+      fs.renameSync(temporary, file);
+    }
+  };
+}
+
+module.exports = { createStateFile };
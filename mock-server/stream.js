@@ -0,0 +1,128 @@
+// Server-Sent Events stream of accepted updates
+
+// Number of recent events kept so reconnecting clients can resume
+const MAX_RECENT_EVENTS = 1000;
+
+// Interval for keep-alive comments that stop proxies from closing idle streams
+const KEEP_ALIVE_INTERVAL = 15 * 1000;
+
+let nextEventId = 1;
+const recentEvents = [];
+const subscribers = new Set();
+
+/**
+ * Format an event in the Server-Sent Events wire format
+ * @param {Object} event - Event with id, type and data
+ * @param {Function} transform - Optional function returning the data to send for this subscriber
+ * @returns {string} SSE message
+ */
+function formatEvent(event, transform) {
+  const data = transform ? transform(event) : event.data;
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Publish an accepted update to every matching subscriber
+ * @param {string} type - Event type, e.g. 'location' or 'geofence'
+ * @param {Object} data - Accepted payload
+ * @returns {Object} Published event with its sequence ID
+ */
+function publish(type, data) {
+  const event = { id: nextEventId++, type, userId: data.userId, data };
+
+  recentEvents.push(event);
+  if (recentEvents.length > MAX_RECENT_EVENTS) {
+    recentEvents.shift();
+  }
+
+  for (const subscriber of subscribers) {
+    if (subscriber.filter(event)) {
+      subscriber.res.write(formatEvent(event, subscriber.transform));
+    }
+  }
+  return event;
+}
+
+/**
+ * Get the ID of the most recent event
+ * Clients that load state from a history route can resume the stream from here
+ * @returns {number} Last published event ID, 0 if none
+ */
+function getLastEventId() {
+  return nextEventId - 1;
+}
+
+/**
+ * Read the last event ID a reconnecting client has seen
+ * Browsers send it in the Last-Event-ID header; the lastEventId query
+ * parameter lets other clients resume too.
+ * @param {Object} req - Express request
+ * @returns {number|null} Last seen event ID, or null for a fresh stream
+ */
+function lastSeenEventId(req) {
+  const value = req.get('Last-Event-ID') || req.query.lastEventId;
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
+/**
+ * Open an event stream on the response
+ * Missed events are replayed when the client resumes from a known ID. If the
+ * ID is older than the replay window, a 'resync' event tells the client to
+ * reload its state from the history routes.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { filter(event), transform(event), endReason() } where transform
+ *   returns the data sent for an event and endReason returns why the stream must end, or
+ *   null while it stays open
+ */
+function subscribe(req, res, { filter, transform, endReason = () => null }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Ask browsers to wait 3 seconds before reconnecting
+  res.write('retry: 3000\n\n');
+
+  const lastId = lastSeenEventId(req);
+  if (lastId !== null) {
+    const oldestId = recentEvents.length > 0 ? recentEvents[0].id : nextEventId;
+    if (lastId < oldestId - 1) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+    }
+    recentEvents
+      .filter((event) => event.id > lastId && filter(event))
+      .forEach((event) => res.write(formatEvent(event, transform)));
+  }
+
+  const subscriber = { res, filter, transform };
+  subscribers.add(subscriber);
+
+  const close = () => {
+    clearInterval(keepAlive);
+    subscribers.delete(subscriber);
+  };
+
+  const keepAlive = setInterval(() => {
+    const reason = endReason();
+    if (reason) {
+      res.write(`event: ended\ndata: ${JSON.stringify({ reason })}\n\n`);
+      res.end();
+      close();
+      return;
+    }
+    res.write(': keep-alive\n\n');
+  }, KEEP_ALIVE_INTERVAL);
+
+  req.on('close', close);
+}
+
+module.exports = {
+  getLastEventId,
+  publish,
+  subscribe
+};
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, registerUser, connectContacts, sendLocation } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * Format a time as HH:MM in UTC
+ * @param {number} time - Milliseconds
+ * @returns {string} Time of day
+ */
+function utcTime(time) {
+  return new Date(time).toISOString().slice(11, 16);
+}
+
+/**
+ * Register an owner and a viewer who are contacts
+ * @returns {Promise<Object>} { owner, viewer, contactId }
+ */
+async function contactPair() {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const viewer = await registerUser(server.baseUrl, 'viewer');
+  const contactId = await connectContacts(server.baseUrl, owner, viewer);
+  return { owner, viewer, contactId };
+}
+
+/**
+ * Change what the owner shares with the viewer
+ * @param {Object} owner - User from registerUser()
+ * @param {string} contactId - Contact ID
+ * @param {Object} settings - Settings update
+ * @returns {Promise<Object>} { status, body }
+ */
+function share(owner, contactId, settings) {
+  return request(server.baseUrl, 'PATCH', `/api/contacts/${contactId}/settings`, { token: owner.token, body: settings });
+}
+
+test('strangers cannot read a user\'s location, history or status', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const stranger = await registerUser(server.baseUrl, 'stranger');
+  await sendLocation(server.baseUrl, owner);
+
+  for (const path of [
+    `/api/users/${owner.user.id}/location/latest`,
+    `/api/users/${owner.user.id}/location/history`,
+    `/api/location/history?userId=${owner.user.id}`,
+    `/api/users/${owner.user.id}/status`
+  ]) {
+    const { status, body } = await request(server.baseUrl, 'GET', path, { token: stranger.token });
+    assert.equal(status, 403, path);
+    assert.equal(body.code, 'not_a_contact', path);
+  }
+});
+
+test('turning sharing off hides the location from the contact', async () => {
+  const { owner, viewer, contactId } = await contactPair();
+  await sendLocation(server.baseUrl, owner);
+  await share(owner, contactId, { sharing: false });
+
+  const { status, body } = await request(server.baseUrl, 'GET', `/api/contacts/${contactId}/location`, { token: viewer.token });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'sharing_disabled');
+});
+
+test('contacts get the precision they were granted', async () => {
+  const { owner, viewer, contactId } = await contactPair();
+  await sendLocation(server.baseUrl, owner, { lat: 52.520008, lon: 13.404954, speed: 3 });
+  await share(owner, contactId, { precision: 'city' });
+
+  const { status, body } = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/location/latest`, { token: viewer.token });
+  assert.equal(status, 200);
+  assert.equal(body.location.precision, 'city');
+  assert.notEqual(body.location.lat, 52.520008);
+  assert.equal(body.location.speed, null);
+});
+
+test('history during allowed hours leaves out fixes taken outside them', async () => {
+  const { owner, viewer, contactId } = await contactPair();
+  const now = Date.now();
+  await sendLocation(server.baseUrl, owner, { lat: 1, timestamp: new Date(now - 3 * HOUR).toISOString() });
+  await sendLocation(server.baseUrl, owner, { lat: 2, timestamp: new Date(now - 60 * 1000).toISOString() });
+  await share(owner, contactId, { allowedHours: { start: utcTime(now - HOUR), end: utcTime(now + HOUR), timeZone: 'UTC' } });
+
+  const history = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/location/history`, { token: viewer.token });
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.locations.map((location) => location.lat), [2]);
+
+  const own = await request(server.baseUrl, 'GET', '/api/location/history', { token: owner.token });
+  assert.deepEqual(own.body.locations.map((location) => location.lat), [1, 2]);
+});
+
+test('the latest location never comes from outside allowed hours', async () => {
+  const { owner, viewer, contactId } = await contactPair();
+  const now = Date.now();
+  await share(owner, contactId, { allowedHours: { start: utcTime(now - HOUR), end: utcTime(now + HOUR), timeZone: 'UTC' } });
+  await sendLocation(server.baseUrl, owner, { lat: 1, timestamp: new Date(now - 3 * HOUR).toISOString() });
+
+  const { status } = await request(server.baseUrl, 'GET', `/api/contacts/${contactId}/location`, { token: viewer.token });
+  assert.equal(status, 404);
+});
+
+test('outside allowed hours the contact is refused', async () => {
+  const { owner, viewer, contactId } = await contactPair();
+  const now = Date.now();
+  await sendLocation(server.baseUrl, owner);
+  await share(owner, contactId, { allowedHours: { start: utcTime(now + 2 * HOUR), end: utcTime(now + 3 * HOUR), timeZone: 'UTC' } });
+
+  const { status, body } = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/location/history`, { token: viewer.token });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'outside_allowed_hours');
+});
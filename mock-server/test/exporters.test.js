@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const exporters = require('../exporters');
+
+const FIXES = [
+  { timestamp: '2026-01-05T08:00:20.000Z', lat: 52.5003, lon: 13.4, speed: 1.5, accuracy: 8 },
+  { timestamp: Date.parse('2026-01-05T08:00:00Z'), lat: 52.5, lon: 13.4 },
+  { timestamp: '2026-01-05T08:00:40.000Z', lat: 52.5006, lon: 13.4, speed: 0, accuracy: 12.5 }
+];
+
+/**
+ * Load the app's renderers from src/services/trackExport.js
+ * Its Expo imports are only used by exportHistory(), so they are left out.
+ * @returns {Promise<Object>} Module exports
+ */
+function loadAppExporters() {
+  const source = fs.readFileSync(path.join(__dirname, '../../src/services/trackExport.js'), 'utf8')
+    .split('\n')
+    .filter((line) => !line.startsWith('import '))
+    .join('\n');
+  return import(`data:text/javascript,${encodeURIComponent(source)}`);
+}
+
+test('the app and the server render identical files', async () => {
+  const app = await loadAppExporters();
+  for (const format of Object.keys(exporters.EXPORT_FORMATS)) {
+    assert.equal(
+      app.EXPORT_FORMATS[format].render(FIXES, 'Track & more'),
+      exporters.EXPORT_FORMATS[format].render(FIXES, 'Track & more'),
+      format
+    );
+  }
+});
+
+test('GPX speed and accuracy are namespaced extensions', () => {
+  const gpx = exporters.toGpx(FIXES, 'Track');
+  assert.match(gpx, /xmlns:gpxtpx="http:\/\/www\.garmin\.com\/xmlschemas\/TrackPointExtension\/v2"/);
+  assert.match(gpx, /<extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>1\.5<\/gpxtpx:speed><\/gpxtpx:TrackPointExtension><als:accuracy>8<\/als:accuracy><\/extensions>/);
+  assert.doesNotMatch(gpx, /<speed>|<accuracy>/);
+  // A fix without speed or accuracy has no extensions
+  assert.match(gpx, /<trkpt lat="52.5" lon="13.4"><time>2026-01-05T08:00:00.000Z<\/time><\/trkpt>/);
+});
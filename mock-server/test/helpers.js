@@ -0,0 +1,177 @@
+// Shared setup for the mock server tests: an in-memory server on a free port and request helpers
+process.env.LOCATION_STORE = 'memory';
+
+const app = require('../index');
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<Object>} { baseUrl, close() }
+ */
+function startServer() {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      resolve({
+        baseUrl: `http://localhost:${server.address().port}`,
+        close: () => new Promise((done) => {
+          // Open event streams would keep the server from closing
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Send a JSON request
+ * @param {string} baseUrl - Server URL
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with query string
+ * @param {Object} options - { token, body, rawBody } where rawBody is sent as-is
+ * @returns {Promise<Object>} { status, body } with the parsed JSON body (text if not JSON)
+ */
+async function request(baseUrl, method, path, { token, body, rawBody } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: rawBody !== undefined ? rawBody : body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Not JSON, e.g. an exported track file
+  }
+  return { status: response.status, body: parsed };
+}
+
+let userCount = 0;
+
+/**
+ * Register a new user with a unique name
+ * @param {string} baseUrl - Server URL
+ * @param {string} prefix - Start of the username
+ * @returns {Promise<Object>} { token, user }
+ */
+async function registerUser(baseUrl, prefix = 'user') {
+  userCount += 1;
+  const { body } = await request(baseUrl, 'POST', '/api/auth/register', {
+    body: { username: `${prefix}${userCount}_${process.pid}`, password: 'password123' }
+  });
+  return { token: body.accessToken, user: body.user };
+}
+
+/**
+ * Make two users contacts: the owner invites, the viewer accepts
+ * @param {string} baseUrl - Server URL
+ * @param {Object} owner - User from registerUser()
+ * @param {Object} viewer - User from registerUser()
+ * @returns {Promise<string>} Contact ID
+ */
+async function connectContacts(baseUrl, owner, viewer) {
+  const { body } = await request(baseUrl, 'POST', '/api/contacts/invite', {
+    token: owner.token,
+    body: { username: viewer.user.username }
+  });
+  await request(baseUrl, 'POST', `/api/contacts/${body.contact.id}/accept`, { token: viewer.token });
+  return body.contact.id;
+}
+
+let fixCount = 0;
+
+/**
+ * Build a valid location payload
+ * @param {Object} owner - User from registerUser()
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} Location payload
+ */
+function locationPayload(owner, overrides = {}) {
+  fixCount += 1;
+  return {
+    id: `fix-test-${fixCount}`,
+    type: 'location',
+    userId: owner.user.id,
+    lat: 52.520008,
+    lon: 13.404954,
+    speed: 1.2,
+    accuracy: 8,
+    timestamp: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+/**
+ * Send a location update
+ * @param {string} baseUrl - Server URL
+ * @param {Object} owner - User from registerUser()
+ * @param {Object} overrides - Fields to change in the payload
+ * @returns {Promise<Object>} { status, body }
+ */
+function sendLocation(baseUrl, owner, overrides) {
+  return request(baseUrl, 'POST', '/api/location/update', {
+    token: owner.token,
+    body: locationPayload(owner, overrides)
+  });
+}
+
+/**
+ * Open an event stream and collect what arrives within a short time
+ * @param {string} url - Stream URL
+ * @param {number} wait - Milliseconds to collect for
+ * @returns {Promise<Array>} Events { event, id, data } with parsed data
+ */
+async function readEvents(url, wait = 300) {
+  const controller = new AbortController();
+  const response = await fetch(url, { signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  const timer = setTimeout(() => controller.abort(), wait);
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      text += decoder.decode(value, { stream: true });
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return text.split('\n\n')
+    .map((block) => Object.fromEntries(block.split('\n')
+      .filter((line) => /^(id|event|data): /.test(line))
+      .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+    .filter((message) => message.data !== undefined)
+    .map((message) => ({ ...message, data: JSON.parse(message.data) }));
+}
+
+/**
+ * Wait for a moment so later writes get a later time
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  startServer,
+  request,
+  registerUser,
+  connectContacts,
+  locationPayload,
+  sendLocation,
+  readEvents,
+  sleep
+};
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, registerUser, locationPayload, sendLocation } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+test('a body that is not JSON gets an invalid_json error', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/location/update', {
+    token: owner.token,
+    rawBody: '{"lat": 52.5,'
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'invalid_json');
+  assert.deepEqual(body.violations.map((violation) => violation.code), ['invalid_json']);
+});
+
+test('invalid payloads are refused with their violations', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const { status, body } = await sendLocation(server.baseUrl, owner, { lat: 91, color: 'red' });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'validation_failed');
+  assert.deepEqual(
+    body.violations.map((violation) => [violation.path, violation.code]).sort(),
+    [['color', 'unknown_field'], ['lat', 'out_of_range']]
+  );
+});
+
+test('fixes may report the send interval of their motion state', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const accepted = await sendLocation(server.baseUrl, owner, { expectedInterval: 60000 });
+  assert.equal(accepted.status, 200);
+
+  const refused = await sendLocation(server.baseUrl, owner, { expectedInterval: 10 });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.violations[0].path, 'expectedInterval');
+});
+
+test('a payload naming another user is forbidden', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const other = await registerUser(server.baseUrl, 'other');
+  const { status, body } = await sendLocation(server.baseUrl, owner, { userId: other.user.id });
+
+  assert.equal(status, 403);
+  assert.equal(body.code, 'user_mismatch');
+});
+
+test('a replayed fix is stored once', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const payload = locationPayload(owner);
+  const first = await request(server.baseUrl, 'POST', '/api/location/update', { token: owner.token, body: payload });
+  const replay = await request(server.baseUrl, 'POST', '/api/location/update', { token: owner.token, body: payload });
+
+  assert.equal(first.body.status, 'created');
+  assert.equal(replay.body.status, 'duplicate');
+  const history = await request(server.baseUrl, 'GET', '/api/location/history', { token: owner.token });
+  assert.equal(history.body.locations.length, 1);
+});
+
+test('a batch reports a result for each fix in order', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const valid = locationPayload(owner);
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/location/batch', {
+    token: owner.token,
+    body: { locations: [valid, locationPayload(owner, { lon: 'east' }), valid] }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.accepted, 1);
+  assert.equal(body.rejected, 1);
+  assert.equal(body.duplicates, 1);
+  assert.deepEqual(body.results.map((result) => result.status || result.code), ['created', 'validation_failed', 'duplicate']);
+  assert.equal(body.results[1].violations[0].path, 'lon');
+});
+
+test('malformed and oversized batches are refused', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const missing = await request(server.baseUrl, 'POST', '/api/location/batch', { token: owner.token, body: {} });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, 'invalid_body');
+
+  const locations = Array.from({ length: 501 }, () => locationPayload(owner));
+  const oversized = await request(server.baseUrl, 'POST', '/api/location/batch', { token: owner.token, body: { locations } });
+  assert.equal(oversized.status, 413);
+  assert.equal(oversized.body.code, 'batch_too_large');
+});
+
+test('invalid history query parameters are refused', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const { status, body } = await request(server.baseUrl, 'GET', '/api/location/history?from=yesterday', { token: owner.token });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'invalid_query');
+  assert.equal(body.violations[0].path, 'from');
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const presence = require('../presence');
+
+const NOW = Date.parse('2026-01-05T08:00:00Z');
+const MINUTE = 60 * 1000;
+
+/**
+ * Record a user whose newest fix was sent a while ago at driving speed
+ * @param {string} userId - User ID
+ * @param {number} age - Milliseconds since the fix
+ * @param {Object} fields - Extra location fields
+ * @returns {Object} Stored location
+ */
+function drivingFix(userId, age, fields = {}) {
+  const timestamp = new Date(NOW - age).toISOString();
+  presence.recordSeen(userId, timestamp);
+  return { userId, lat: 52.5, lon: 13.4, speed: 15, timestamp, ...fields };
+}
+
+test('a moving user is live while fixes arrive at the interval their app reported', () => {
+  const status = presence.describePresence('driver-1', drivingFix('driver-1', 2 * MINUTE, { expectedInterval: 5 * MINUTE }), NOW);
+  assert.equal(status.motionState, 'VEHICLE');
+  assert.equal(status.state, 'live');
+});
+
+test('a moving user whose fixes are overdue for their reported interval is no longer live', () => {
+  const status = presence.describePresence('driver-2', drivingFix('driver-2', 2 * MINUTE, { expectedInterval: MINUTE }), NOW);
+  assert.equal(status.state, 'stationary');
+});
+
+test('the heartbeat interval the app reports decides when a user is stale', () => {
+  presence.recordHeartbeat({
+    type: 'heartbeat',
+    userId: 'sitter-1',
+    timestamp: new Date(NOW).toISOString(),
+    heartbeatInterval: 2 * MINUTE,
+    foregroundPermission: 'granted',
+    backgroundPermission: 'granted'
+  });
+  const later = Date.parse(presence.getPresence('sitter-1').lastSeenAt) + 4 * MINUTE;
+
+  const status = presence.describePresence('sitter-1', undefined, later);
+  assert.equal(status.expectedInterval, 2 * MINUTE);
+  assert.equal(status.state, 'stale');
+});
+
+test('a moving user known only from heartbeats, e.g. with every fix in a privacy zone, is described', () => {
+  presence.recordHeartbeat({
+    type: 'heartbeat',
+    userId: 'walker-1',
+    timestamp: new Date(NOW).toISOString(),
+    motionState: 'WALKING',
+    heartbeatInterval: 15 * MINUTE,
+    foregroundPermission: 'granted',
+    backgroundPermission: 'granted'
+  });
+  const later = Date.parse(presence.getPresence('walker-1').lastSeenAt) + MINUTE;
+
+  const status = presence.describePresence('walker-1', undefined, later);
+  assert.equal(status.motionState, 'WALKING');
+  assert.equal(status.lastFixAt, null);
+  assert.ok(['live', 'stationary'].includes(status.state));
+});
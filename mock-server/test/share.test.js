@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, registerUser, sendLocation, readEvents, sleep } = require('./helpers');
+
+const VIEWER_FIELDS = ['accuracy', 'lat', 'lon', 'speed', 'timestamp'];
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * Register a user who sent one fix before creating a share session and one after
+ * @returns {Promise<Object>} { owner, session }
+ */
+async function shareAfterOneFix() {
+  const owner = await registerUser(server.baseUrl, 'sharer');
+  await sendLocation(server.baseUrl, owner, { lat: 10 });
+  await sleep(5);
+  const { body } = await request(server.baseUrl, 'POST', '/api/share', { token: owner.token, body: { duration: 60000 } });
+  await sleep(5);
+  await sendLocation(server.baseUrl, owner, { lat: 20, emergency: true });
+  return { owner, session: body.session };
+}
+
+/**
+ * Get the viewer token of a share session
+ * @param {Object} session - Session returned by POST /api/share
+ * @returns {string} Token
+ */
+function tokenOf(session) {
+  return session.url.split('/share/')[1];
+}
+
+test('share locations only include fixes sent since the session started, reduced to viewer fields', async () => {
+  const { session } = await shareAfterOneFix();
+  const { status, body } = await request(server.baseUrl, 'GET', `/api/share/${tokenOf(session)}/locations`);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.trail.map((location) => location.lat), [20]);
+  assert.deepEqual(Object.keys(body.latest).sort(), VIEWER_FIELDS);
+});
+
+test('share stream replay does not leak fixes from before the session or private fields', async () => {
+  const { session } = await shareAfterOneFix();
+  const events = await readEvents(`${server.baseUrl}/api/share/${tokenOf(session)}/stream?lastEventId=0`);
+  const locations = events.filter((event) => event.event === 'location');
+
+  assert.deepEqual(locations.map((event) => event.data.lat), [20]);
+  for (const { data } of locations) {
+    assert.deepEqual(Object.keys(data).sort(), VIEWER_FIELDS);
+  }
+});
+
+test('revoked and unknown share sessions are refused', async () => {
+  const { owner, session } = await shareAfterOneFix();
+  await request(server.baseUrl, 'DELETE', `/api/share/${session.id}`, { token: owner.token });
+
+  const revoked = await request(server.baseUrl, 'GET', `/api/share/${tokenOf(session)}/stream`);
+  assert.equal(revoked.status, 410);
+  assert.equal(revoked.body.reason, 'revoked');
+
+  const unknown = await request(server.baseUrl, 'GET', '/api/share/not-a-token/locations');
+  assert.equal(unknown.status, 404);
+});
@@ -0,0 +1,72 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateFile } = require('../stateFile');
+
+const originalEnv = {
+  LOCATION_STORE: process.env.LOCATION_STORE,
+  LOCATION_STORE_FILE: process.env.LOCATION_STORE_FILE
+};
+
+/**
+ * Point the location store, and so the state files, at a fresh temporary directory
+ * @returns {string} Directory path
+ */
+function useTemporaryStore() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'state-file-'));
+  delete process.env.LOCATION_STORE;
+  process.env.LOCATION_STORE_FILE = path.join(directory, 'locations.jsonl');
+  return directory;
+}
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(originalEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+});
+
+test('a saved value is read back next to the location store file', () => {
+  const directory = useTemporaryStore();
+  try {
+    createStateFile('contacts.json').save([{ id: 'contact-1' }]);
+
+    assert.ok(fs.existsSync(path.join(directory, 'contacts.json')));
+    assert.deepEqual(createStateFile('contacts.json').load([]), [{ id: 'contact-1' }]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('a missing or unreadable file gives the fallback', () => {
+  const directory = useTemporaryStore();
+  try {
+    assert.deepEqual(createStateFile('auth.json').load({ users: [] }), { users: [] });
+
+    fs.writeFileSync(path.join(directory, 'auth.json'), '{"users": [');
+    assert.deepEqual(createStateFile('auth.json').load({ users: [] }), { users: [] });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('the memory store neither reads nor writes state files', () => {
+  const directory = useTemporaryStore();
+  try {
+    fs.writeFileSync(path.join(directory, 'auth.json'), '{"users": ["saved"]}');
+    process.env.LOCATION_STORE = 'memory';
+
+    const state = createStateFile('auth.json');
+    state.save({ users: ['changed'] });
+
+    assert.deepEqual(state.load({ users: [] }), { users: [] });
+    assert.equal(fs.readFileSync(path.join(directory, 'auth.json'), 'utf8'), '{"users": ["saved"]}');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentFixes } = require('../trips');
+
+const START = Date.parse('2026-01-05T08:00:00Z');
+
+/**
+ * Build a walk north at 1.5 m/s with one fix every 20 seconds
+ * @param {number} count - Number of fixes
+ * @returns {Array} Fixes { timestamp, lat, lon, speed }
+ */
+function walk(count) {
+  // 30 m north per fix, about 0.00027 degrees of latitude
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: START + i * 20 * 1000,
+    lat: 52.5 + i * 0.00027,
+    lon: 13.4,
+    speed: 1.5
+  }));
+}
+
+test('a walk becomes one walking trip', () => {
+  const [trip] = segmentFixes(walk(20));
+  assert.equal(trip.type, 'trip');
+  assert.equal(trip.motionClass, 'WALKING');
+  assert.ok(trip.duration > 0);
+  assert.ok(Math.abs(trip.averageSpeed - 1.5) < 0.1);
+});
+
+test('fixes far apart with the same timestamp make no zero-duration trip', () => {
+  const segments = segmentFixes([
+    { timestamp: START, lat: 52.5, lon: 13.4, speed: 0 },
+    { timestamp: START, lat: 48.1, lon: 11.6, speed: 0 }
+  ]);
+  assert.deepEqual(segments, []);
+});
+
+test('a GPS teleport in the middle of a walk is ignored', () => {
+  const fixes = walk(20);
+  fixes[10] = { ...fixes[10], lat: 48.1, lon: 11.6 };
+
+  const trips = segmentFixes(fixes).filter((segment) => segment.type === 'trip');
+  assert.equal(trips.length, 1);
+  assert.equal(trips[0].fixCount, 19);
+  assert.ok(trips[0].distance < 1000);
+  assert.equal(trips[0].motionClass, 'WALKING');
+});
+
+test('a real move is kept once several fixes confirm it', () => {
+  const before = walk(10);
+  const after = walk(10).map((fix) => ({ ...fix, timestamp: fix.timestamp + 10 * 60 * 1000, lat: fix.lat + 1 }));
+
+  const fixCount = segmentFixes([...before, ...after])
+    .filter((segment) => segment.type === 'trip')
+    .reduce((sum, trip) => sum + trip.fixCount, 0);
+  assert.ok(fixCount >= 17);
+});
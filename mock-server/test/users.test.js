@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, registerUser, connectContacts, sendLocation } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * Change what the owner shares with a contact
+ * @param {Object} owner - User from registerUser()
+ * @param {string} contactId - Contact ID
+ * @param {Object} settings - Settings update
+ * @returns {Promise<Object>} { status, body }
+ */
+function share(owner, contactId, settings) {
+  return request(server.baseUrl, 'PATCH', `/api/contacts/${contactId}/settings`, { token: owner.token, body: settings });
+}
+
+test('unknown users and users without a fix are not found', async () => {
+  const viewer = await registerUser(server.baseUrl, 'viewer');
+  for (const path of ['/api/users/no-such-user/location/latest', '/api/users/no-such-user/location/history']) {
+    const { status } = await request(server.baseUrl, 'GET', path, { token: viewer.token });
+    assert.equal(status, 404, path);
+  }
+
+  const owner = await registerUser(server.baseUrl, 'owner');
+  await connectContacts(server.baseUrl, owner, viewer);
+  const { status } = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/location/latest`, { token: viewer.token });
+  assert.equal(status, 404);
+});
+
+test('the user\'s own latest fix is exact, a contact\'s is reduced to the granted precision', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const viewer = await registerUser(server.baseUrl, 'viewer');
+  const contactId = await connectContacts(server.baseUrl, owner, viewer);
+  await sendLocation(server.baseUrl, owner, { lat: 52.520008, lon: 13.404954, speed: 3, expectedInterval: 60000 });
+  await share(owner, contactId, { precision: 'city' });
+
+  const own = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/location/latest`, { token: owner.token });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.location.lat, 52.520008);
+  assert.ok(own.body.lastSeenAt);
+
+  const history = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/location/history`, { token: viewer.token });
+  assert.equal(history.status, 200);
+  const [location] = history.body.locations;
+  assert.notEqual(location.lat, 52.520008);
+  assert.equal(location.speed, null);
+  assert.equal(location.id, undefined);
+  assert.equal(location.expectedInterval, undefined);
+});
+
+test('the fleet view lists the user and only the contacts sharing with them', async () => {
+  const viewer = await registerUser(server.baseUrl, 'viewer');
+  const sharing = await registerUser(server.baseUrl, 'sharing');
+  const hidden = await registerUser(server.baseUrl, 'hidden');
+  const stranger = await registerUser(server.baseUrl, 'stranger');
+  await connectContacts(server.baseUrl, sharing, viewer);
+  const hiddenContactId = await connectContacts(server.baseUrl, hidden, viewer);
+  await share(hidden, hiddenContactId, { sharing: false });
+  for (const user of [viewer, sharing, hidden, stranger]) {
+    await sendLocation(server.baseUrl, user);
+  }
+
+  const { status, body } = await request(server.baseUrl, 'GET', '/api/locations/latest', { token: viewer.token });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.locations.map((location) => location.username).sort(),
+    [sharing.user.username, viewer.user.username].sort()
+  );
+  assert.equal(body.count, 2);
+});
+
+test('contacts get a trimmed status from the fixes they may see', async () => {
+  const owner = await registerUser(server.baseUrl, 'owner');
+  const viewer = await registerUser(server.baseUrl, 'viewer');
+  const contactId = await connectContacts(server.baseUrl, owner, viewer);
+  const now = Date.now();
+  const time = (offset) => new Date(now + offset).toISOString().slice(11, 16);
+  await sendLocation(server.baseUrl, owner, { speed: 15, timestamp: new Date(now - 3 * HOUR).toISOString() });
+  await request(server.baseUrl, 'POST', '/api/heartbeat', {
+    token: owner.token,
+    body: {
+      type: 'heartbeat',
+      userId: owner.user.id,
+      timestamp: new Date().toISOString(),
+      batteryLevel: 0.5,
+      foregroundPermission: 'granted',
+      backgroundPermission: 'granted'
+    }
+  });
+  await share(owner, contactId, { allowedHours: { start: time(-HOUR), end: time(HOUR), timeZone: 'UTC' } });
+
+  const own = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/status`, { token: owner.token });
+  assert.equal(own.status, 200);
+  assert.ok(own.body.status.lastFixAt);
+  assert.equal(own.body.status.battery.level, 0.5);
+
+  const contact = await request(server.baseUrl, 'GET', `/api/users/${owner.user.id}/status`, { token: viewer.token });
+  assert.equal(contact.status, 200);
+  assert.equal(contact.body.status.lastFixAt, null);
+  assert.equal(contact.body.status.battery, undefined);
+  assert.equal(contact.body.status.permissions, undefined);
+
+  const list = await request(server.baseUrl, 'GET', '/api/users/status', { token: viewer.token });
+  const listed = list.body.users.find((status) => status.userId === owner.user.id);
+  assert.equal(listed.lastFixAt, null);
+  assert.equal(listed.battery, undefined);
+});
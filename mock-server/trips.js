@@ -0,0 +1,195 @@
+// Trip and stay segmentation of received fixes
+// Mirrors src/services/trips.js so the server and the app agree on what a trip is
+
+const { motionClassFromSpeed } = require('./motion');
+
+const STAY_RADIUS = 100; // meters
+const MIN_STAY_DURATION = 5 * 60 * 1000; // 5 minutes
+const MAX_FIX_GAP = 20 * 60 * 1000; // 20 minutes without fixes ends a trip
+const MIN_TRIP_DISTANCE = 200; // meters; shorter "trips" are GPS drift
+const MAX_PLAUSIBLE_SPEED = 70; // m/s (~250 km/h), as the app's fix filter
+const MAX_CONSECUTIVE_JUMPS = 3;
+
+/**
+ * Calculate distance between two coordinates using the Haversine formula
+ * @returns {number} Distance in meters
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371e3; // Earth radius in meters
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Summarize a run of fixes as a trip or stay
+ * @param {string} type - 'trip' or 'stay'
+ * @param {Array} fixes - Fixes { timestamp, lat, lon, speed } in time order
+ * @returns {Object} Segment with its statistics
+ */
+function summarizeSegment(type, fixes) {
+  const first = fixes[0];
+  const last = fixes[fixes.length - 1];
+  const classDurations = {};
+  let distance = 0;
+  let maxSpeed = 0;
+
+  for (let i = 1; i < fixes.length; i++) {
+    const previous = fixes[i - 1];
+    const fix = fixes[i];
+    const step = haversineDistance(previous.lat, previous.lon, fix.lat, fix.lon);
+    const elapsed = (fix.timestamp - previous.timestamp) / 1000;
+    // Clients send 0 when the device reported no speed, so fall back to the implied speed
+    const speed = fix.speed > 0 ? fix.speed : (elapsed > 0 ? step / elapsed : 0);
+
+    distance += step;
+    maxSpeed = Math.max(maxSpeed, speed);
+    const motionClass = motionClassFromSpeed(speed);
+    classDurations[motionClass] = (classDurations[motionClass] || 0) + elapsed;
+  }
+
+  const duration = last.timestamp - first.timestamp;
+  const averageSpeed = duration > 0 ? distance / (duration / 1000) : 0;
+  const segment = {
+    type,
+    startTime: new Date(first.timestamp).toISOString(),
+    endTime: new Date(last.timestamp).toISOString(),
+    duration,
+    distance,
+    averageSpeed,
+    // Reported speeds are instantaneous and can sit below the average over a whole segment
+    maxSpeed: Math.max(maxSpeed, averageSpeed),
+    motionClass: Object.keys(classDurations).reduce(
+      (dominant, motionClass) => (classDurations[motionClass] > (classDurations[dominant] || 0) ? motionClass : dominant),
+      'STILL'
+    ),
+    fixCount: fixes.length
+  };
+
+  if (type === 'stay') {
+    segment.motionClass = 'STILL';
+    segment.location = {
+      lat: fixes.reduce((sum, fix) => sum + fix.lat, 0) / fixes.length,
+      lon: fixes.reduce((sum, fix) => sum + fix.lon, 0) / fixes.length
+    };
+  } else {
+    segment.startLocation = { lat: first.lat, lon: first.lon };
+    segment.endLocation = { lat: last.lat, lon: last.lon };
+  }
+  return segment;
+}
+
+/**
+ * Drop fixes that would distort the segments: ones at the time of an earlier fix
+ * (they would make zero-duration steps) and jumps from the previous kept fix faster
+ * than any vehicle (GPS teleports)
+ * After several jumps in a row the previous fix was the outlier, so the jump is kept.
+ * @param {Array} sorted - Fixes { timestamp, lat, lon, speed } in time order
+ * @returns {Array} Usable fixes in time order
+ */
+function cleanFixes(sorted) {
+  const kept = [];
+  let consecutiveJumps = 0;
+  for (const fix of sorted) {
+    const previous = kept[kept.length - 1];
+    if (previous) {
+      const elapsed = (fix.timestamp - previous.timestamp) / 1000;
+      if (elapsed <= 0) {
+        continue;
+      }
+      const speed = haversineDistance(previous.lat, previous.lon, fix.lat, fix.lon) / elapsed;
+      if (speed > MAX_PLAUSIBLE_SPEED && consecutiveJumps < MAX_CONSECUTIVE_JUMPS) {
+        consecutiveJumps++;
+        continue;
+      }
+    }
+    consecutiveJumps = 0;
+    kept.push(fix);
+  }
+  return kept;
+}
+
+/**
+ * Divide fixes into trips and stays
+ * @param {Array} fixes - Fixes { timestamp (ms), lat, lon, speed }
+ * @returns {Array} Segments in time order
+ */
+function segmentFixes(fixes) {
+  const sorted = cleanFixes([...fixes].sort((a, b) => a.timestamp - b.timestamp));
+  const segments = [];
+  let trip = [];
+  let cluster = [];
+
+  const closeTrip = () => {
+    if (trip.length >= 2) {
+      const summary = summarizeSegment('trip', trip);
+      if (summary.distance >= MIN_TRIP_DISTANCE) {
+        segments.push(summary);
+      }
+    }
+    trip = [];
+  };
+
+  const addToTrip = (fix) => {
+    const previous = trip[trip.length - 1];
+    if (previous && fix.timestamp - previous.timestamp > MAX_FIX_GAP) {
+      closeTrip();
+    }
+    trip.push(fix);
+  };
+
+  const settleCluster = () => {
+    if (cluster.length === 0) {
+      return;
+    }
+    const duration = cluster[cluster.length - 1].timestamp - cluster[0].timestamp;
+    if (duration >= MIN_STAY_DURATION) {
+      addToTrip(cluster[0]);
+      closeTrip();
+      segments.push(summarizeSegment('stay', cluster));
+      trip = [cluster[cluster.length - 1]];
+    } else {
+      cluster.forEach(addToTrip);
+    }
+    cluster = [];
+  };
+
+  for (const fix of sorted) {
+    if (cluster.length > 0 && haversineDistance(cluster[0].lat, cluster[0].lon, fix.lat, fix.lon) <= STAY_RADIUS) {
+      cluster.push(fix);
+    } else {
+      settleCluster();
+      cluster = [fix];
+    }
+  }
+  settleCluster();
+  closeTrip();
+
+  return segments;
+}
+
+/**
+ * Segment stored location payloads
+ * @param {Array} locations - Stored locations with ISO timestamps
+ * @returns {Array} Segments in time order
+ */
+function segmentLocations(locations) {
+  return segmentFixes(locations.map((location) => ({
+    timestamp: new Date(location.timestamp).getTime(),
+    lat: location.lat,
+    lon: location.lon,
+    speed: location.speed
+  })));
+}
+
+module.exports = {
+  haversineDistance,
+  segmentFixes,
+  segmentLocations
+};
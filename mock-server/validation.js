@@ -0,0 +1,215 @@
+// Schema validation of location and geofence payloads
+// Every violation has a machine-readable code and the path of the offending field,
+// so clients can tell payloads worth retrying from ones that will never be accepted
+
+const { MOTION_CLASSES } = require('./motion');
+
+// Geofence transitions the client can report
+const GEOFENCE_EVENTS = ['enter', 'exit', 'dwell'];
+
+// Accepted distance of fix timestamps from the server clock
+const MAX_FUTURE_SKEW = 5 * 60 * 1000;              // 5 minutes ahead
+const MAX_TIMESTAMP_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days back, enough for buffered fixes
+
+// ISO 8601 date and time with a time zone, as produced by Date.prototype.toISOString()
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// Fields of a location payload
+const LOCATION_SCHEMA = {
+  id: { type: 'string', required: true, maxLength: 128 },
+  type: { type: 'string', enum: ['location', 'geofence'] },
+  userId: { type: 'string', required: true },
+  lat: { type: 'number', required: true, min: -90, max: 90 },
+  lon: { type: 'number', required: true, min: -180, max: 180 },
+  speed: { type: 'number', min: 0, nullable: true },
+  accuracy: { type: 'number', min: 0, nullable: true },
+  timestamp: { type: 'timestamp', required: true },
+  emergency: { type: 'boolean' },
+  // Send interval of the client's current motion state, in milliseconds
+  expectedInterval: { type: 'number', min: 1000, nullable: true }
+};
+
+// Fields of a geofence event payload; the place coordinates are stripped inside privacy zones
+const GEOFENCE_SCHEMA = {
+  ...LOCATION_SCHEMA,
+  event: { type: 'string', required: true, enum: GEOFENCE_EVENTS },
+  placeId: { type: 'string', required: true },
+  placeName: { type: 'string' },
+  placeLat: { type: 'number', min: -90, max: 90 },
+  placeLon: { type: 'number', min: -180, max: 180 },
+  placeRadius: { type: 'number', min: 0 }
+};
+
+const SCHEMAS = {
+  location: LOCATION_SCHEMA,
+  geofence: GEOFENCE_SCHEMA
+};
+
+// Location permission states reported by expo-location
+const PERMISSION_STATES = ['granted', 'denied', 'undetermined'];
+
+// Fields of a heartbeat, sent instead of fixes while the user stays put; it has no coordinates
+const HEARTBEAT_SCHEMA = {
+  type: { type: 'string', required: true, enum: ['heartbeat'] },
+  userId: { type: 'string', required: true },
+  timestamp: { type: 'timestamp', required: true },
+  motionState: { type: 'string', enum: MOTION_CLASSES, nullable: true },
+  lastFixAt: { type: 'timestamp', nullable: true, allowOld: true },
+  heartbeatInterval: { type: 'number', min: 1000, nullable: true },
+  batteryLevel: { type: 'number', min: 0, max: 1, nullable: true },
+  batteryState: { type: 'string', enum: ['unknown', 'unplugged', 'charging', 'full'] },
+  lowPowerMode: { type: 'boolean' },
+  foregroundPermission: { type: 'string', required: true, enum: PERMISSION_STATES },
+  backgroundPermission: { type: 'string', required: true, enum: PERMISSION_STATES }
+};
+
+// Fields of an SOS alert; the incident ID is generated by the client so retries are safe
+const EMERGENCY_ALERT_SCHEMA = {
+  incidentId: { type: 'string', required: true, maxLength: 128 },
+  startedAt: { type: 'timestamp', required: true }
+};
+
+/**
+ * Check a timestamp string against the skew window
+ * @param {string} value - Timestamp
+ * @param {number} now - Server time in milliseconds
+ * @param {boolean} allowOld - Accept timestamps of any age
+ * @returns {Object|null} { code, message } if invalid, otherwise null
+ */
+function checkTimestamp(value, now, allowOld) {
+  const time = ISO_TIMESTAMP.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    return { code: 'invalid_timestamp', message: 'must be an ISO 8601 date and time with a time zone' };
+  }
+  if (time > now + MAX_FUTURE_SKEW) {
+    return { code: 'timestamp_in_future', message: `is more than ${MAX_FUTURE_SKEW / 60000} minutes ahead of the server clock` };
+  }
+  if (!allowOld && time < now - MAX_TIMESTAMP_AGE) {
+    return { code: 'timestamp_too_old', message: `is more than ${MAX_TIMESTAMP_AGE / 86400000} days old` };
+  }
+  return null;
+}
+
+/**
+ * Check one field against its rule
+ * @param {*} value - Field value
+ * @param {Object} rule - Field rule from a schema
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object|null} { code, message } if invalid, otherwise null
+ */
+function checkField(value, rule, now) {
+  if (value === undefined || (value === null && !rule.nullable)) {
+    return rule.required ? { code: 'required', message: 'is required' } : null;
+  }
+  if (value === null) {
+    return null;
+  }
+
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean' ? null : { code: 'invalid_type', message: 'must be true or false' };
+  }
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { code: 'invalid_type', message: 'must be a number' };
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      return {
+        code: 'out_of_range',
+        message: rule.max !== undefined ? `must be between ${rule.min} and ${rule.max}` : `must be at least ${rule.min}`
+      };
+    }
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return { code: 'invalid_type', message: 'must be a string' };
+  }
+  if (rule.type === 'timestamp') {
+    return checkTimestamp(value, now, rule.allowOld);
+  }
+  if (value.length === 0 || (rule.maxLength && value.length > rule.maxLength)) {
+    return { code: 'invalid_value', message: `must have 1 to ${rule.maxLength || 'any number of'} characters` };
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { code: 'invalid_value', message: `must be one of: ${rule.enum.join(', ')}` };
+  }
+  return null;
+}
+
+/**
+ * Check a payload against a schema
+ * @param {*} payload - Payload as received
+ * @param {Object} schema - Field rules
+ * @param {number} now - Server time in milliseconds
+ * @returns {Array} Violations { code, path, message }; empty if the payload is valid
+ */
+function validateAgainst(payload, schema, now) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ code: 'invalid_type', path: '', message: 'Payload must be an object' }];
+  }
+
+  const violations = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const problem = checkField(payload[field], rule, now);
+    if (problem) {
+      violations.push({ code: problem.code, path: field, message: `${field} ${problem.message}` });
+    }
+  }
+  for (const field of Object.keys(payload)) {
+    if (!schema[field]) {
+      violations.push({ code: 'unknown_field', path: field, message: `${field} is not a known field` });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Validate a location or geofence payload
+ * @param {*} payload - Payload as received
+ * @param {number} now - Server time in milliseconds
+ * @returns {Array} Violations { code, path, message }; empty if the payload is valid
+ */
+function validatePayload(payload, now = Date.now()) {
+  const type = payload && payload.type !== undefined ? payload.type : 'location';
+  return validateAgainst(payload, SCHEMAS[type] || LOCATION_SCHEMA, now);
+}
+
+/**
+ * Validate a heartbeat payload
+ * @param {*} payload - Payload as received
+ * @param {number} now - Server time in milliseconds
+ * @returns {Array} Violations { code, path, message }; empty if the payload is valid
+ */
+function validateHeartbeat(payload, now = Date.now()) {
+  return validateAgainst(payload, HEARTBEAT_SCHEMA, now);
+}
+
+/**
+ * Validate an SOS alert
+ * @param {*} payload - Alert as received
+ * @param {number} now - Server time in milliseconds
+ * @returns {Array} Violations { code, path, message }; empty if the alert is valid
+ */
+function validateEmergencyAlert(payload, now = Date.now()) {
+  return validateAgainst(payload, EMERGENCY_ALERT_SCHEMA, now);
+}
+
+/**
+ * Summarize violations in one error message
+ * @param {Array} violations - Violations from validatePayload()
+ * @returns {string} Message
+ */
+function describeViolations(violations) {
+  return `Invalid payload: ${violations.map((violation) => violation.message).join('; ')}`;
+}
+
+module.exports = {
+  GEOFENCE_EVENTS,
+  MAX_FUTURE_SKEW,
+  MAX_TIMESTAMP_AGE,
+  validatePayload,
+  validateHeartbeat,
+  validateEmergencyAlert,
+  describeViolations
+};
@@ -0,0 +1,195 @@
+// HTML pages for the share link viewer
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap page content in the shared layout
+ * @param {string} title - Page title
+ * @param {string} body - Inner HTML
+ * @returns {string} Full HTML document
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, Roboto, sans-serif; background: #f5f5f5; margin: 0; padding: 10px; color: #333; }
+    .section { background: white; border-radius: 8px; padding: 15px; margin-bottom: 10px; box-shadow: 0 1px 2px rgba(0,0,0,0.2); }
+    h1 { font-size: 20px; margin: 0 0 10px; }
+    .row { display: flex; justify-content: space-between; padding: 4px 0; }
+    .label { color: #666; }
+    .status { font-weight: bold; }
+    canvas { width: 100%; height: 300px; background: #eef3f7; border-radius: 6px; }
+    a { color: #2196F3; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Render the viewer page for a share session
+ * The page loads the trail once, then follows the session's event stream until it ends
+ * @param {string} token - Share session viewer token
+ * @returns {string} HTML document
+ */
+function renderViewerPage(token) {
+  return layout('Shared Location', `
+  <div class="section">
+    <h1>Shared Location</h1>
+    <div class="row"><span class="label">Status:</span><span class="status" id="status">Loading...</span></div>
+    <div class="row"><span class="label">Position:</span><span id="position">-</span></div>
+    <div class="row"><span class="label">Speed:</span><span id="speed">-</span></div>
+    <div class="row"><span class="label">Last update:</span><span id="updated">-</span></div>
+    <div class="row"><span class="label">Link expires:</span><span id="expires">-</span></div>
+    <p><a id="map-link" href="#" target="_blank" rel="noopener">Open in map</a></p>
+  </div>
+  <div class="section">
+    <canvas id="trail" width="600" height="300"></canvas>
+  </div>
+  <script>
+    var token = ${JSON.stringify(token)};
+    var trail = [];
+    var lastEventId = 0;
+    var source = null;
+
+    function text(id, value) { document.getElementById(id).textContent = value; }
+
+    function drawTrail() {
+      var canvas = document.getElementById('trail');
+      var ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      if (trail.length === 0) return;
+
+      var lats = trail.map(function (p) { return p.lat; });
+      var lons = trail.map(function (p) { return p.lon; });
+      var minLat = Math.min.apply(null, lats), maxLat = Math.max.apply(null, lats);
+      var minLon = Math.min.apply(null, lons), maxLon = Math.max.apply(null, lons);
+      var span = Math.max(maxLat - minLat, maxLon - minLon, 0.0005);
+      var pad = 20, size = Math.min(canvas.width, canvas.height) - pad * 2;
+      function x(p) { return pad + (p.lon - minLon) / span * size + (canvas.width - size - pad * 2) / 2; }
+      function y(p) { return canvas.height - pad - (p.lat - minLat) / span * size; }
+
+      ctx.strokeStyle = '#2196F3';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      trail.forEach(function (p, i) { if (i === 0) ctx.moveTo(x(p), y(p)); else ctx.lineTo(x(p), y(p)); });
+      ctx.stroke();
+
+      var last = trail[trail.length - 1];
+      ctx.fillStyle = '#F44336';
+      ctx.beginPath();
+      ctx.arc(x(last), y(last), 6, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    function showLatest() {
+      var latest = trail[trail.length - 1];
+      if (!latest) {
+        text('position', 'Waiting for the first update...');
+        return;
+      }
+      text('position', latest.lat.toFixed(6) + ', ' + latest.lon.toFixed(6));
+      text('speed', latest.speed != null ? (latest.speed * 3.6).toFixed(1) + ' km/h' : 'N/A');
+      text('updated', new Date(latest.timestamp).toLocaleString());
+      document.getElementById('map-link').href =
+        'https://www.openstreetmap.org/?mlat=' + latest.lat + '&mlon=' + latest.lon + '#map=17/' + latest.lat + '/' + latest.lon;
+      drawTrail();
+    }
+
+    function showLive() {
+      text('status', 'Live');
+      document.getElementById('status').style.color = '#4CAF50';
+    }
+
+    function showEnded(reason) {
+      if (source) source.close();
+      text('status', reason === 'revoked' ? 'Sharing stopped by the sender' : 'This link has expired');
+      document.getElementById('status').style.color = '#F44336';
+    }
+
+    // Load the trail so far; the stream then appends new positions as they arrive
+    function load() {
+      return fetch('/api/share/' + token + '/locations')
+        .then(function (response) {
+          return response.json().then(function (body) { return { status: response.status, body: body }; });
+        })
+        .then(function (result) {
+          if (result.status === 410) { showEnded(result.body.reason); return false; }
+          if (result.status !== 200) { text('status', result.body.error || 'Unavailable'); return false; }
+
+          text('expires', result.body.expiresAt ? new Date(result.body.expiresAt).toLocaleString() : 'When sharing is stopped');
+          trail = result.body.trail;
+          lastEventId = result.body.lastEventId;
+          showLive();
+          showLatest();
+          return true;
+        });
+    }
+
+    function connect() {
+      source = new EventSource('/api/share/' + token + '/stream?lastEventId=' + lastEventId);
+      source.addEventListener('location', function (message) {
+        var p = JSON.parse(message.data);
+        trail.push({ lat: p.lat, lon: p.lon, speed: p.speed, accuracy: p.accuracy, timestamp: p.timestamp });
+        showLive();
+        showLatest();
+      });
+      source.addEventListener('resync', function () { load(); });
+      source.addEventListener('ended', function (message) { showEnded(JSON.parse(message.data).reason); });
+      source.onerror = function () {
+        // The browser reconnects on its own and resumes from the last event ID;
+        // a closed stream means the server refused it, so find out why
+        if (source.readyState === EventSource.CLOSED) {
+          load().then(function (ok) { if (ok) setTimeout(connect, 3000); });
+        } else {
+          text('status', 'Reconnecting...');
+        }
+      };
+    }
+
+    load()
+      .then(function (ok) { if (ok) connect(); })
+      .catch(function () { text('status', 'Connection problem, reload to retry'); });
+  </script>`);
+}
+
+/**
+ * Render the page shown for an expired, revoked or unknown share link
+ * @param {string} reason - 'expired', 'revoked' or 'not_found'
+ * @returns {string} HTML document
+ */
+function renderUnavailablePage(reason) {
+  const messages = {
+    expired: 'This location link has expired.',
+    revoked: 'The sender has stopped sharing their location.',
+    not_found: 'This location link does not exist.'
+  };
+
+  return layout('Shared Location', `
+  <div class="section">
+    <h1>Shared Location</h1>
+    <p class="status" style="color: #F44336">${escapeHtml(messages[reason] || messages.not_found)}</p>
+  </div>`);
+}
+
+module.exports = {
+  renderViewerPage,
+  renderUnavailablePage
+};
@@ -2,6 +2,14 @@ import React from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import TrackingScreen from '../screens/TrackingScreen';
+import PlacesScreen from '../screens/PlacesScreen';
+import LoginScreen from '../screens/LoginScreen';
+import ContactsScreen from '../screens/ContactsScreen';
+import PrivacyZonesScreen from '../screens/PrivacyZonesScreen';
+import TripsScreen from '../screens/TripsScreen';
+import ProfilesScreen from '../screens/ProfilesScreen';
+import HistoryScreen from '../screens/HistoryScreen';
+import SettingsScreen from '../screens/SettingsScreen';
 
 const Stack = createStackNavigator();
 
@@ -14,6 +22,46 @@ export default function AppNavigator() {
           component={TrackingScreen} 
           options={{ title: 'Adaptive Location Share' }}
         />
+        <Stack.Screen 
+          name="Places" 
+          component={PlacesScreen} 
+          options={{ title: 'Places' }}
+        />
+        <Stack.Screen 
+          name="Login" 
+          component={LoginScreen} 
+          options={{ title: 'Sign In' }}
+        />
+        <Stack.Screen 
+          name="Contacts" 
+          component={ContactsScreen} 
+          options={{ title: 'Contacts' }}
+        />
+        <Stack.Screen 
+          name="PrivacyZones" 
+          component={PrivacyZonesScreen} 
+          options={{ title: 'Privacy Zones' }}
+        />
+        <Stack.Screen 
+          name="Trips" 
+          component={TripsScreen} 
+          options={{ title: 'Trips' }}
+        />
+        <Stack.Screen 
+          name="Profiles" 
+          component={ProfilesScreen} 
+          options={{ title: 'Tracking Profile' }}
+        />
+        <Stack.Screen 
+          name="History" 
+          component={HistoryScreen} 
+          options={{ title: 'History' }}
+        />
+        <Stack.Screen 
+          name="Settings" 
+          component={SettingsScreen} 
+          options={{ title: 'Settings' }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ScrollView, Switch } from 'react-native';
+import {
+  PRECISION_LEVELS,
+  getContacts,
+  inviteContact,
+  acceptContact,
+  removeContact,
+  updateContactSettings,
+  getContactLocation
+} from '../services/contactsService';
+
+/**
+ * Sharing settings and actions for one accepted contact
+ */
+function ContactCard({ contact, onChange, onRemove }) {
+  const settings = contact.mySettings;
+  const [start, setStart] = useState(settings.allowedHours?.start || '');
+  const [end, setEnd] = useState(settings.allowedHours?.end || '');
+
+  /**
+   * Save a settings change and report the updated contact
+   */
+  const update = async (change) => {
+    try {
+      onChange(await updateContactSettings(contact.id, change));
+    } catch (error) {
+      console.error('Error updating contact settings:', error);
+      Alert.alert('Error', 'Failed to update sharing settings: ' + error.message);
+    }
+  };
+
+  /**
+   * Limit sharing to the entered hours, or share at any time if both are empty
+   */
+  const saveAllowedHours = () => {
+    if (!start && !end) {
+      update({ allowedHours: null });
+      return;
+    }
+    update({
+      allowedHours: {
+        start,
+        end,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      }
+    });
+  };
+
+  /**
+   * Show the contact's latest location as far as they allow it
+   */
+  const showLocation = async () => {
+    try {
+      const location = await getContactLocation(contact.id);
+      Alert.alert(
+        contact.contact.username,
+        `Latitude: ${location.lat.toFixed(6)}\n` +
+        `Longitude: ${location.lon.toFixed(6)}\n` +
+        `Accuracy: ${location.accuracy?.toFixed(0) || 'N/A'} m (${location.precision})\n` +
+        `Updated: ${new Date(location.timestamp).toLocaleString()}`
+      );
+    } catch (error) {
+      Alert.alert('Location Unavailable', error.message);
+    }
+  };
+
+  return (
+    <View style={styles.contactCard}>
+      <Text style={styles.contactName}>{contact.contact.username}</Text>
+
+      <View style={styles.row}>
+        <Text style={styles.label}>Share my location:</Text>
+        <Switch value={settings.sharing} onValueChange={(sharing) => update({ sharing })} />
+      </View>
+
+      <View style={styles.row}>
+        <Text style={styles.label}>Emergency contact:</Text>
+        <Switch
+          value={settings.emergencyContact}
+          onValueChange={(emergencyContact) => update({ emergencyContact })}
+        />
+      </View>
+
+      <Text style={styles.label}>Precision:</Text>
+      <View style={styles.optionRow}>
+        {PRECISION_LEVELS.map(({ value, label }) => (
+          <TouchableOpacity
+            key={value}
+            style={[styles.option, settings.precision === value && styles.optionSelected]}
+            onPress={() => update({ precision: value })}
+          >
+            <Text style={settings.precision === value ? styles.optionTextSelected : styles.optionText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.label}>Allowed hours (empty for any time):</Text>
+      <View style={styles.optionRow}>
+        <TextInput style={styles.timeInput} placeholder="08:00" value={start} onChangeText={setStart} />
+        <Text style={styles.label}>to</Text>
+        <TextInput style={styles.timeInput} placeholder="18:00" value={end} onChangeText={setEnd} />
+        <TouchableOpacity style={styles.smallButton} onPress={saveAllowedHours}>
+          <Text style={styles.smallButtonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.optionRow}>
+        <TouchableOpacity style={[styles.smallButton, styles.flexButton]} onPress={showLocation}>
+          <Text style={styles.smallButtonText}>View Location</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.smallButton, styles.flexButton, styles.dangerButton]} onPress={onRemove}>
+          <Text style={styles.smallButtonText}>Remove</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export default function ContactsScreen() {
+  const [contacts, setContacts] = useState([]);
+  const [username, setUsername] = useState('');
+
+  // Load contacts on mount
+  useEffect(() => {
+    loadContacts();
+  }, []);
+
+  /**
+   * Load contacts and invitations from the server
+   */
+  const loadContacts = async () => {
+    try {
+      setContacts(await getContacts());
+    } catch (error) {
+      console.error('Error loading contacts:', error);
+      Alert.alert('Error', 'Failed to load contacts: ' + error.message);
+    }
+  };
+
+  /**
+   * Replace one contact in the list after it changed
+   */
+  const replaceContact = (updated) => {
+    setContacts((current) => current.map((contact) => (contact.id === updated.id ? updated : contact)));
+  };
+
+  /**
+   * Invite a user by username
+   */
+  const invite = async () => {
+    if (!username.trim()) {
+      Alert.alert('Username Required', 'Please enter the username of the person to invite');
+      return;
+    }
+    try {
+      await inviteContact(username.trim());
+      setUsername('');
+      await loadContacts();
+    } catch (error) {
+      console.error('Error inviting contact:', error);
+      Alert.alert('Error', 'Failed to send invitation: ' + error.message);
+    }
+  };
+
+  /**
+   * Accept an incoming invitation
+   */
+  const accept = async (contact) => {
+    try {
+      replaceContact(await acceptContact(contact.id));
+    } catch (error) {
+      console.error('Error accepting invitation:', error);
+      Alert.alert('Error', 'Failed to accept invitation: ' + error.message);
+    }
+  };
+
+  /**
+   * Remove a contact or decline an invitation after confirmation
+   */
+  const confirmRemove = (contact) => {
+    Alert.alert(
+      'Remove Contact',
+      `Stop sharing locations with ${contact.contact.username}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeContact(contact.id);
+              setContacts((current) => current.filter(({ id }) => id !== contact.id));
+            } catch (error) {
+              console.error('Error removing contact:', error);
+              Alert.alert('Error', 'Failed to remove contact: ' + error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const pending = contacts.filter((contact) => contact.status === 'pending');
+  const accepted = contacts.filter((contact) => contact.status === 'accepted');
+
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Invite Contact</Text>
+
+        <TextInput
+          style={styles.input}
+          placeholder="Username"
+          value={username}
+          onChangeText={setUsername}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+
+        <TouchableOpacity style={styles.button} onPress={invite}>
+          <Text style={styles.buttonText}>Send Invitation</Text>
+        </TouchableOpacity>
+      </View>
+
+      {pending.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Invitations</Text>
+
+          {pending.map((contact) => (
+            <View key={contact.id} style={styles.row}>
+              <Text style={styles.value}>
+                {contact.contact.username} {contact.direction === 'outgoing' ? '(sent)' : ''}
+              </Text>
+              <View style={styles.optionRow}>
+                {contact.direction === 'incoming' && (
+                  <TouchableOpacity style={styles.smallButton} onPress={() => accept(contact)}>
+                    <Text style={styles.smallButtonText}>Accept</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                  style={[styles.smallButton, styles.dangerButton]}
+                  onPress={() => confirmRemove(contact)}
+                >
+                  <Text style={styles.smallButtonText}>{contact.direction === 'incoming' ? 'Decline' : 'Cancel'}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Contacts</Text>
+
+        {accepted.length > 0 ? (
+          accepted.map((contact) => (
+            <ContactCard
+              key={contact.id}
+              contact={contact}
+              onChange={replaceContact}
+              onRemove={() => confirmRemove(contact)}
+            />
+          ))
+        ) : (
+          <Text style={styles.placeholder}>No contacts yet</Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 10,
+    padding: 15,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  timeInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 6,
+    fontSize: 14,
+    width: 70,
+    textAlign: 'center',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 5,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 5,
+  },
+  contactCard: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingVertical: 10,
+  },
+  contactName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+  },
+  value: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    borderRadius: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  optionSelected: {
+    backgroundColor: '#2196F3',
+  },
+  optionText: {
+    color: '#2196F3',
+  },
+  optionTextSelected: {
+    color: 'white',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  smallButton: {
+    backgroundColor: '#FF9800',
+    padding: 8,
+    borderRadius: 4,
+    alignItems: 'center',
+  },
+  flexButton: {
+    flex: 1,
+  },
+  dangerButton: {
+    backgroundColor: '#F44336',
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  placeholder: {
+    textAlign: 'center',
+    color: '#999',
+    fontStyle: 'italic',
+    padding: 10,
+  },
+});
@@ -0,0 +1,425 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ScrollView } from 'react-native';
+import {
+  getHistoryDays,
+  getHistoryForDay,
+  getHistoryRetention,
+  saveHistoryRetention,
+  clearHistory
+} from '../services/historyDb';
+import { exportHistory } from '../services/trackExport';
+
+const FILTERS = [
+  { value: null, label: 'All' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'buffered', label: 'Buffered' },
+  { value: 'filtered', label: 'Filtered Out' }
+];
+
+const STATUS_COLORS = {
+  sent: '#4CAF50',
+  buffered: '#FF9800',
+  filtered: '#999',
+  failed: '#F44336'
+};
+
+const EXPORT_FORMATS = [
+  { value: 'gpx', label: 'GPX' },
+  { value: 'geojson', label: 'GeoJSON' },
+  { value: 'kml', label: 'KML' }
+];
+
+const EXPORT_RANGES = [
+  { value: 'day', label: 'Selected Day' },
+  { value: 'week', label: 'Last 7 Days' },
+  { value: 'month', label: 'Last 30 Days' },
+  { value: 'all', label: 'All' }
+];
+
+// Why a fix was not sent, from the fix filter, the send decision or privacy zones
+const REASON_LABELS = {
+  low_accuracy: 'low accuracy',
+  impossible_speed: 'impossible jump',
+  out_of_order: 'out of order',
+  too_close: 'too close to last sent',
+  too_soon: 'too soon after last sent',
+  privacy_zone: 'privacy zone'
+};
+
+/**
+ * Format a local 'YYYY-MM-DD' day for display
+ */
+const formatDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString();
+};
+
+/**
+ * Get the start and end in milliseconds of an export range
+ */
+const rangeBounds = (range, selectedDay) => {
+  const now = Date.now();
+  if (range === 'day') {
+    const [year, month, date] = selectedDay.split('-').map(Number);
+    return [new Date(year, month - 1, date).getTime(), new Date(year, month - 1, date + 1).getTime()];
+  }
+  const days = { week: 7, month: 30 }[range];
+  return [days ? now - days * 24 * 60 * 60 * 1000 : 0, now + 1];
+};
+
+export default function HistoryScreen() {
+  const [status, setStatus] = useState(null);
+  const [days, setDays] = useState([]);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [retention, setRetention] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [exportFormat, setExportFormat] = useState('gpx');
+  const [exportRange, setExportRange] = useState('day');
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Load the retention settings on mount
+  useEffect(() => {
+    loadRetention();
+  }, []);
+
+  // Reload the days whenever the filter changes
+  useEffect(() => {
+    loadDays();
+  }, [status]);
+
+  // Reload the entries whenever the day or filter changes
+  useEffect(() => {
+    loadEntries();
+  }, [selectedDay, status]);
+
+  /**
+   * Load the retention settings into the form
+   */
+  const loadRetention = async () => {
+    const { maxAgeDays, maxEntries } = await getHistoryRetention();
+    setRetention({ maxAgeDays: String(maxAgeDays), maxEntries: String(maxEntries) });
+  };
+
+  /**
+   * Load the days with entries, keeping the selected day if it still has any
+   */
+  const loadDays = async () => {
+    const loaded = await getHistoryDays(status);
+    setDays(loaded);
+    setSelectedDay((current) =>
+      loaded.some(({ day }) => day === current) ? current : (loaded[0] ? loaded[0].day : null)
+    );
+  };
+
+  /**
+   * Load the entries of the selected day
+   */
+  const loadEntries = async () => {
+    if (!selectedDay) {
+      setEntries([]);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      setEntries(await getHistoryForDay(selectedDay, status));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Reload days and entries
+   */
+  const refresh = async () => {
+    await loadDays();
+    await loadEntries();
+  };
+
+  /**
+   * Save the retention settings
+   */
+  const saveRetention = async () => {
+    try {
+      await saveHistoryRetention({
+        maxAgeDays: Number(retention.maxAgeDays),
+        maxEntries: Number(retention.maxEntries)
+      });
+      await refresh();
+      Alert.alert('Saved', 'History retention updated');
+    } catch (error) {
+      Alert.alert('Invalid Settings', error.message);
+    }
+  };
+
+  /**
+   * Export the chosen range and open the share sheet
+   */
+  const exportTrack = async () => {
+    if (exportRange === 'day' && !selectedDay) {
+      Alert.alert('Nothing to Export', 'No fixes recorded yet');
+      return;
+    }
+    setIsExporting(true);
+    try {
+      const [from, to] = rangeBounds(exportRange, selectedDay);
+      await exportHistory(exportFormat, from, to);
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      Alert.alert('Export Failed', error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  /**
+   * Delete all history after confirmation
+   */
+  const confirmClear = () => {
+    Alert.alert(
+      'Clear History',
+      'Delete all location history stored on this device?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            await clearHistory();
+            await refresh();
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <View style={styles.optionRow}>
+          {FILTERS.map(({ value, label }) => (
+            <TouchableOpacity
+              key={label}
+              style={[styles.option, status === value && styles.optionSelected]}
+              onPress={() => setStatus(value)}
+            >
+              <Text style={status === value ? styles.optionTextSelected : styles.optionText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {days.length > 0 ? (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.optionRow}>
+            {days.map(({ day, count }) => (
+              <TouchableOpacity
+                key={day}
+                style={[styles.option, selectedDay === day && styles.optionSelected]}
+                onPress={() => setSelectedDay(day)}
+              >
+                <Text style={selectedDay === day ? styles.optionTextSelected : styles.optionText}>
+                  {formatDay(day)} ({count})
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        ) : null}
+
+        <TouchableOpacity style={styles.button} onPress={refresh} disabled={isLoading}>
+          <Text style={styles.buttonText}>{isLoading ? 'Loading...' : 'Refresh'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{selectedDay ? formatDay(selectedDay) : 'History'}</Text>
+
+        {entries.length > 0 ? (
+          entries.map((entry) => (
+            <View key={entry.id} style={styles.entryRow}>
+              <View style={styles.row}>
+                <Text style={styles.entryTime}>{new Date(entry.timestamp).toLocaleTimeString()}</Text>
+                <Text style={[styles.value, { color: STATUS_COLORS[entry.status] }]}>
+                  {entry.status.toUpperCase()}
+                </Text>
+              </View>
+              <Text style={styles.label}>
+                {entry.lat.toFixed(6)}, {entry.lon.toFixed(6)}
+                {entry.accuracy !== null ? ` · ±${Math.round(entry.accuracy)} m` : ''}
+              </Text>
+              {entry.reason ? (
+                <Text style={styles.label}>{REASON_LABELS[entry.reason] || entry.reason}</Text>
+              ) : null}
+            </View>
+          ))
+        ) : (
+          <Text style={styles.placeholder}>{isLoading ? 'Loading history...' : 'No fixes recorded'}</Text>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Export</Text>
+
+        <View style={styles.optionRow}>
+          {EXPORT_RANGES.map(({ value, label }) => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.option, exportRange === value && styles.optionSelected]}
+              onPress={() => setExportRange(value)}
+            >
+              <Text style={exportRange === value ? styles.optionTextSelected : styles.optionText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.optionRow}>
+          {EXPORT_FORMATS.map(({ value, label }) => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.option, exportFormat === value && styles.optionSelected]}
+              onPress={() => setExportFormat(value)}
+            >
+              <Text style={exportFormat === value ? styles.optionTextSelected : styles.optionText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <TouchableOpacity style={styles.button} onPress={exportTrack} disabled={isExporting}>
+          <Text style={styles.buttonText}>{isExporting ? 'Exporting...' : 'Export and Share'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {retention ? (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Retention</Text>
+
+          <View style={styles.row}>
+            <Text style={styles.label}>Keep fixes for (days)</Text>
+            <TextInput
+              style={styles.numberInput}
+              value={retention.maxAgeDays}
+              onChangeText={(maxAgeDays) => setRetention((current) => ({ ...current, maxAgeDays }))}
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.row}>
+            <Text style={styles.label}>Keep at most (fixes)</Text>
+            <TextInput
+              style={styles.numberInput}
+              value={retention.maxEntries}
+              onChangeText={(maxEntries) => setRetention((current) => ({ ...current, maxEntries }))}
+              keyboardType="numeric"
+            />
+          </View>
+
+          <TouchableOpacity style={styles.button} onPress={saveRetention}>
+            <Text style={styles.buttonText}>Save Retention</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={[styles.button, styles.dangerButton]} onPress={confirmClear}>
+            <Text style={styles.buttonText}>Clear History</Text>
+          </TouchableOpacity>
+        </View>
+      ) : null}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 10,
+    padding: 15,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
+    paddingVertical: 5,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    borderRadius: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  optionSelected: {
+    backgroundColor: '#2196F3',
+  },
+  optionText: {
+    color: '#2196F3',
+  },
+  optionTextSelected: {
+    color: 'white',
+  },
+  entryRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  entryTime: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  numberInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 6,
+    fontSize: 14,
+    width: 80,
+    textAlign: 'right',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  dangerButton: {
+    backgroundColor: '#F44336',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  placeholder: {
+    textAlign: 'center',
+    color: '#999',
+    fontStyle: 'italic',
+    padding: 10,
+  },
+});
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ScrollView } from 'react-native';
+import * as Location from 'expo-location';
+import {
+  getPlaces,
+  addPlace,
+  removePlace,
+  getGeofenceState,
+  DEFAULT_PLACE_RADIUS
+} from '../services/geofences';
+
+export default function PlacesScreen() {
+  const [places, setPlaces] = useState([]);
+  const [geofenceState, setGeofenceState] = useState({});
+  const [name, setName] = useState('');
+  const [radius, setRadius] = useState(String(DEFAULT_PLACE_RADIUS));
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load saved places on mount
+  useEffect(() => {
+    loadPlaces();
+  }, []);
+
+  /**
+   * Load places and their inside/outside state
+   */
+  const loadPlaces = async () => {
+    setPlaces(await getPlaces());
+    setGeofenceState(await getGeofenceState());
+  };
+
+  /**
+   * Save the current location as a new place
+   */
+  const addCurrentLocation = async () => {
+    const radiusMeters = parseFloat(radius);
+    if (!name.trim()) {
+      Alert.alert('Name Required', 'Please enter a name for this place');
+      return;
+    }
+    if (!(radiusMeters > 0)) {
+      Alert.alert('Invalid Radius', 'Radius must be a positive number of meters');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const location = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      await addPlace({
+        name: name.trim(),
+        lat: location.coords.latitude,
+        lon: location.coords.longitude,
+        radius: radiusMeters
+      });
+      setName('');
+      await loadPlaces();
+    } catch (error) {
+      console.error('Error adding place:', error);
+      Alert.alert('Error', 'Failed to add place: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Remove a place after confirmation
+   */
+  const confirmRemovePlace = (place) => {
+    Alert.alert(
+      'Remove Place',
+      `Stop watching "${place.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await removePlace(place.id);
+            await loadPlaces();
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Add Place</Text>
+
+        <TextInput
+          style={styles.input}
+          placeholder="Name (e.g. Home, Office)"
+          value={name}
+          onChangeText={setName}
+        />
+
+        <TextInput
+          style={styles.input}
+          placeholder="Radius in meters"
+          value={radius}
+          onChangeText={setRadius}
+          keyboardType="numeric"
+        />
+
+        <TouchableOpacity style={styles.button} onPress={addCurrentLocation} disabled={isSaving}>
+          <Text style={styles.buttonText}>{isSaving ? 'Saving...' : 'Add Current Location'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Places</Text>
+
+        {places.length > 0 ? (
+          places.map((place) => (
+            <View key={place.id} style={styles.placeRow}>
+              <View style={styles.placeInfo}>
+                <Text style={styles.placeName}>{place.name}</Text>
+                <Text style={styles.label}>
+                  {place.lat.toFixed(5)}, {place.lon.toFixed(5)} · {place.radius} m
+                </Text>
+                <Text style={[styles.label, geofenceState[place.id]?.inside ? styles.active : null]}>
+                  {geofenceState[place.id]?.inside ? 'INSIDE' : 'OUTSIDE'}
+                </Text>
+              </View>
+              <TouchableOpacity style={styles.smallButton} onPress={() => confirmRemovePlace(place)}>
+                <Text style={styles.smallButtonText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.placeholder}>No places saved yet</Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 10,
+    padding: 15,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  placeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  placeInfo: {
+    flex: 1,
+  },
+  placeName: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+  },
+  active: {
+    color: '#4CAF50',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  smallButton: {
+    backgroundColor: '#F44336',
+    padding: 8,
+    borderRadius: 4,
+    alignItems: 'center',
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  placeholder: {
+    textAlign: 'center',
+    color: '#999',
+    fontStyle: 'italic',
+    padding: 10,
+  },
+});
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ScrollView } from 'react-native';
+import * as Location from 'expo-location';
+import {
+  getPrivacyZones,
+  addPrivacyZone,
+  removePrivacyZone,
+  DEFAULT_ZONE_RADIUS,
+  ZONE_MODES
+} from '../services/privacyZones';
+
+const MODE_OPTIONS = [
+  { value: ZONE_MODES.SUPPRESS, label: "Don't send", description: 'Fixes inside the zone are never sent' },
+  { value: ZONE_MODES.BLUR, label: 'Blur', description: 'Fixes inside the zone are sent as the zone centre' }
+];
+
+export default function PrivacyZonesScreen() {
+  const [zones, setZones] = useState([]);
+  const [name, setName] = useState('');
+  const [radius, setRadius] = useState(String(DEFAULT_ZONE_RADIUS));
+  const [mode, setMode] = useState(ZONE_MODES.SUPPRESS);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load saved zones on mount
+  useEffect(() => {
+    loadZones();
+  }, []);
+
+  /**
+   * Load privacy zones
+   */
+  const loadZones = async () => {
+    setZones(await getPrivacyZones());
+  };
+
+  /**
+   * Save the current location as a new privacy zone
+   */
+  const addCurrentLocation = async () => {
+    const radiusMeters = parseFloat(radius);
+    if (!name.trim()) {
+      Alert.alert('Name Required', 'Please enter a name for this zone');
+      return;
+    }
+    if (!(radiusMeters > 0)) {
+      Alert.alert('Invalid Radius', 'Radius must be a positive number of meters');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const location = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      await addPrivacyZone({
+        name: name.trim(),
+        lat: location.coords.latitude,
+        lon: location.coords.longitude,
+        radius: radiusMeters,
+        mode
+      });
+      setName('');
+      await loadZones();
+    } catch (error) {
+      console.error('Error adding privacy zone:', error);
+      Alert.alert('Error', 'Failed to add privacy zone: ' + error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Remove a zone after confirmation
+   */
+  const confirmRemoveZone = (zone) => {
+    Alert.alert(
+      'Remove Privacy Zone',
+      `Locations near "${zone.name}" will be shared exactly again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await removePrivacyZone(zone.id);
+            await loadZones();
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Add Privacy Zone</Text>
+
+        <TextInput
+          style={styles.input}
+          placeholder="Name (e.g. Home)"
+          value={name}
+          onChangeText={setName}
+        />
+
+        <TextInput
+          style={styles.input}
+          placeholder="Radius in meters"
+          value={radius}
+          onChangeText={setRadius}
+          keyboardType="numeric"
+        />
+
+        <View style={styles.optionRow}>
+          {MODE_OPTIONS.map(({ value, label }) => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.option, mode === value && styles.optionSelected]}
+              onPress={() => setMode(value)}
+            >
+              <Text style={mode === value ? styles.optionTextSelected : styles.optionText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.label}>{MODE_OPTIONS.find((option) => option.value === mode).description}</Text>
+
+        <TouchableOpacity style={styles.button} onPress={addCurrentLocation} disabled={isSaving}>
+          <Text style={styles.buttonText}>{isSaving ? 'Saving...' : 'Add Current Location'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Privacy Zones</Text>
+
+        {zones.length > 0 ? (
+          zones.map((zone) => (
+            <View key={zone.id} style={styles.zoneRow}>
+              <View style={styles.zoneInfo}>
+                <Text style={styles.zoneName}>{zone.name}</Text>
+                <Text style={styles.label}>
+                  {zone.lat.toFixed(5)}, {zone.lon.toFixed(5)} · {zone.radius} m
+                </Text>
+                <Text style={styles.label}>
+                  {zone.mode === ZONE_MODES.BLUR ? 'BLURRED' : 'NOT SENT'}
+                </Text>
+              </View>
+              <TouchableOpacity style={styles.smallButton} onPress={() => confirmRemoveZone(zone)}>
+                <Text style={styles.smallButtonText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.placeholder}>No privacy zones yet</Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 10,
+    padding: 15,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    marginBottom: 8,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 5,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    borderRadius: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  optionSelected: {
+    backgroundColor: '#2196F3',
+  },
+  optionText: {
+    color: '#2196F3',
+  },
+  optionTextSelected: {
+    color: 'white',
+  },
+  zoneRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  zoneInfo: {
+    flex: 1,
+  },
+  zoneName: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  smallButton: {
+    backgroundColor: '#F44336',
+    padding: 8,
+    borderRadius: 4,
+    alignItems: 'center',
+  },
+  smallButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  placeholder: {
+    textAlign: 'center',
+    color: '#999',
+    fontStyle: 'italic',
+    padding: 10,
+  },
+});
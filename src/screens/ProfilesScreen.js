@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ScrollView, Switch } from 'react-native';
+import {
+  TRACKING_PROFILES,
+  MOTION_STATES,
+  getSelectedProfile,
+  getCustomProfile,
+  selectProfile,
+  saveCustomProfile
+} from '../services/trackingProfiles';
+import { reloadTrackingProfile } from '../services/locationService';
+import { getFixFilterSettings, saveFixFilterSettings } from '../services/fixFilter';
+
+// Accuracy choices offered for the custom profile
+const CUSTOM_ACCURACY_LEVELS = ['Low', 'Balanced', 'High', 'Highest'];
+
+/**
+ * Turn a custom profile into editable form values (seconds and meters as strings)
+ */
+const toForm = (profile) => ({
+  accuracy: profile.background.accuracy,
+  foregroundInterval: String(profile.foreground.timeInterval / 1000),
+  backgroundInterval: String(profile.background.timeInterval / 1000),
+  backgroundDistance: String(profile.background.distanceInterval),
+  distanceThreshold: String(profile.send.distanceThreshold),
+  ...Object.fromEntries(MOTION_STATES.map((state) => [state, String(profile.send.intervals[state] / 1000)]))
+});
+
+export default function ProfilesScreen() {
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [filterForm, setFilterForm] = useState(null);
+
+  // Load the selection and custom profile on mount
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  /**
+   * Load the selected profile and the custom profile
+   */
+  const loadProfiles = async () => {
+    setSelectedId((await getSelectedProfile()).id);
+    setForm(toForm(await getCustomProfile()));
+    
+    const filter = await getFixFilterSettings();
+    setFilterForm({
+      maxAccuracy: String(filter.maxAccuracy),
+      maxSpeed: String(Math.round(filter.maxSpeed * 3.6)),
+      smoothing: filter.smoothing
+    });
+  };
+
+  /**
+   * Save the fix quality filter settings
+   */
+  const saveFilter = async () => {
+    try {
+      await saveFixFilterSettings({
+        maxAccuracy: parseFloat(filterForm.maxAccuracy),
+        maxSpeed: parseFloat(filterForm.maxSpeed) / 3.6, // km/h to m/s
+        smoothing: filterForm.smoothing
+      });
+      Alert.alert('Saved', 'Fix filter settings updated');
+    } catch (error) {
+      Alert.alert('Invalid Settings', error.message);
+    }
+  };
+
+  /**
+   * Update one form field
+   */
+  const setField = (field, value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  /**
+   * Select a profile and apply it to running location updates
+   */
+  const choose = async (profileId) => {
+    try {
+      await selectProfile(profileId);
+      await reloadTrackingProfile();
+      setSelectedId(profileId);
+    } catch (error) {
+      console.error('Error selecting tracking profile:', error);
+      Alert.alert('Error', 'Failed to change tracking profile: ' + error.message);
+    }
+  };
+
+  /**
+   * Save the custom profile and select it
+   */
+  const saveCustom = async () => {
+    const seconds = (value) => parseFloat(value) * 1000;
+    setIsSaving(true);
+    try {
+      await saveCustomProfile({
+        foreground: { accuracy: form.accuracy, timeInterval: seconds(form.foregroundInterval) },
+        background: {
+          accuracy: form.accuracy,
+          timeInterval: seconds(form.backgroundInterval),
+          distanceInterval: parseFloat(form.backgroundDistance)
+        },
+        send: {
+          distanceThreshold: parseFloat(form.distanceThreshold),
+          intervals: Object.fromEntries(MOTION_STATES.map((state) => [state, seconds(form[state])]))
+        }
+      });
+      await choose('custom');
+      Alert.alert('Saved', 'Custom profile is now active');
+    } catch (error) {
+      Alert.alert('Invalid Profile', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!form || !filterForm) {
+    return <View style={styles.container} />;
+  }
+
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Profile</Text>
+
+        {[...Object.values(TRACKING_PROFILES), { id: 'custom', name: 'Custom', description: 'Your own settings below' }]
+          .map((profile) => (
+            <TouchableOpacity
+              key={profile.id}
+              style={[styles.profileRow, selectedId === profile.id && styles.profileSelected]}
+              onPress={() => choose(profile.id)}
+            >
+              <Text style={styles.profileName}>{profile.name}</Text>
+              <Text style={styles.label}>{profile.description}</Text>
+            </TouchableOpacity>
+          ))}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Custom Profile</Text>
+
+        <Text style={styles.label}>Accuracy:</Text>
+        <View style={styles.optionRow}>
+          {CUSTOM_ACCURACY_LEVELS.map((level) => (
+            <TouchableOpacity
+              key={level}
+              style={[styles.option, form.accuracy === level && styles.optionSelected]}
+              onPress={() => setField('accuracy', level)}
+            >
+              <Text style={form.accuracy === level ? styles.optionTextSelected : styles.optionText}>{level}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {[
+          ['foregroundInterval', 'Foreground fix every (s)'],
+          ['backgroundInterval', 'Background fix every (s)'],
+          ['backgroundDistance', 'Background fix after moving (m)'],
+          ['distanceThreshold', 'Send after moving (m)'],
+          ...MOTION_STATES.map((state) => [state, `Send interval ${state} (s)`])
+        ].map(([field, label]) => (
+          <View key={field} style={styles.row}>
+            <Text style={styles.label}>{label}</Text>
+            <TextInput
+              style={styles.numberInput}
+              value={form[field]}
+              onChangeText={(value) => setField(field, value)}
+              keyboardType="numeric"
+            />
+          </View>
+        ))}
+
+        <TouchableOpacity style={styles.button} onPress={saveCustom} disabled={isSaving}>
+          <Text style={styles.buttonText}>{isSaving ? 'Saving...' : 'Save and Use Custom Profile'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Fix Filter</Text>
+
+        <View style={styles.row}>
+          <Text style={styles.label}>Reject fixes less accurate than (m)</Text>
+          <TextInput
+            style={styles.numberInput}
+            value={filterForm.maxAccuracy}
+            onChangeText={(maxAccuracy) => setFilterForm((current) => ({ ...current, maxAccuracy }))}
+            keyboardType="numeric"
+          />
+        </View>
+
+        <View style={styles.row}>
+          <Text style={styles.label}>Reject jumps faster than (km/h)</Text>
+          <TextInput
+            style={styles.numberInput}
+            value={filterForm.maxSpeed}
+            onChangeText={(maxSpeed) => setFilterForm((current) => ({ ...current, maxSpeed }))}
+            keyboardType="numeric"
+          />
+        </View>
+
+        <View style={styles.row}>
+          <Text style={styles.label}>Smooth track (Kalman filter)</Text>
+          <Switch
+            value={filterForm.smoothing}
+            onValueChange={(smoothing) => setFilterForm((current) => ({ ...current, smoothing }))}
+          />
+        </View>
+
+        <TouchableOpacity style={styles.button} onPress={saveFilter}>
+          <Text style={styles.buttonText}>Save Filter Settings</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 10,
+    padding: 15,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  profileRow: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    marginBottom: 8,
+  },
+  profileSelected: {
+    borderColor: '#2196F3',
+    backgroundColor: '#E3F2FD',
+  },
+  profileName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 5,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+  },
+  numberInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 6,
+    fontSize: 14,
+    width: 80,
+    textAlign: 'right',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 5,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    borderRadius: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  optionSelected: {
+    backgroundColor: '#2196F3',
+  },
+  optionText: {
+    color: '#2196F3',
+  },
+  optionTextSelected: {
+    color: 'white',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
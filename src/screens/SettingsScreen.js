@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity, Alert, ScrollView } from 'react-native';
+import { MOTION_STATES, getSelectedProfile } from '../services/trackingProfiles';
+import { getSettings, saveSettings, resetSettings } from '../services/settings';
+import { DEFAULT_SERVER_URL } from '../services/config';
+import { verifyAuthToken } from '../services/api';
+
+/**
+ * Turn settings into editable form values (seconds and meters as strings, empty for defaults)
+ */
+const toForm = (settings) => ({
+  serverUrl: settings.serverUrl || '',
+  authToken: settings.authToken || '',
+  distanceThreshold: settings.distanceThreshold !== null ? String(settings.distanceThreshold) : '',
+  ...Object.fromEntries(MOTION_STATES.map((state) => [
+    state,
+    settings.intervals[state] !== null ? String(settings.intervals[state] / 1000) : ''
+  ]))
+});
+
+/**
+ * Parse a numeric form value, keeping an empty field as the default
+ */
+const parseNumber = (value, scale = 1) => (value.trim() === '' ? null : parseFloat(value) * scale);
+
+export default function SettingsScreen() {
+  const [form, setForm] = useState(null);
+  const [tokenRejectedAt, setTokenRejectedAt] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load the settings and the profile whose thresholds they override on mount
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  /**
+   * Load the settings into the form
+   */
+  const loadSettings = async () => {
+    setProfile(await getSelectedProfile());
+    const settings = await getSettings();
+    setForm(toForm(settings));
+    setTokenRejectedAt(settings.authToken ? settings.authTokenRejectedAt : null);
+  };
+
+  /**
+   * Update one form field
+   */
+  const setField = (field, value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  /**
+   * Validate and save the settings
+   * An auth token is checked with the server first, which also lifts a hold on uploads.
+   */
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      const serverUrl = form.serverUrl.trim() || null;
+      const authToken = form.authToken.trim() || null;
+      const saved = await saveSettings({
+        serverUrl,
+        authToken,
+        authTokenUser: authToken ? await verifyAuthToken(authToken, serverUrl) : null,
+        authTokenRejectedAt: null,
+        distanceThreshold: parseNumber(form.distanceThreshold),
+        intervals: Object.fromEntries(MOTION_STATES.map((state) => [state, parseNumber(form[state], 1000)]))
+      });
+      setForm(toForm(saved));
+      setTokenRejectedAt(null);
+      Alert.alert('Saved', 'Settings apply from the next request and fix');
+    } catch (error) {
+      Alert.alert('Invalid Settings', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Reset all settings to their defaults after confirmation
+   */
+  const confirmReset = () => {
+    Alert.alert(
+      'Reset Settings',
+      'Go back to the default server, the signed-in session and the tracking profile thresholds?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: async () => {
+            await resetSettings();
+            await loadSettings();
+          }
+        }
+      ]
+    );
+  };
+
+  if (!form || !profile) {
+    return <View style={styles.container} />;
+  }
+
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Server</Text>
+
+        <Text style={styles.label}>Server URL</Text>
+        <TextInput
+          style={styles.input}
+          value={form.serverUrl}
+          onChangeText={(value) => setField('serverUrl', value)}
+          placeholder={DEFAULT_SERVER_URL}
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+
+        <Text style={styles.label}>Auth token</Text>
+        <TextInput
+          style={styles.input}
+          value={form.authToken}
+          onChangeText={(value) => setField('authToken', value)}
+          placeholder="Use the signed-in session"
+          autoCapitalize="none"
+          autoCorrect={false}
+          secureTextEntry
+        />
+        <Text style={styles.hint}>
+          An access token can't be renewed and expires after 15 minutes. Once the server refuses
+          it, locations wait on the device until you enter a new token or clear this field; sign
+          in instead to keep tracking for longer.
+        </Text>
+        {tokenRejectedAt && (
+          <Text style={styles.warning}>
+            The server refused this token on {new Date(tokenRejectedAt).toLocaleString()}. Locations are
+            kept on the device until you save a new token or clear it.
+          </Text>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Send Thresholds</Text>
+        <Text style={styles.hint}>Leave a field empty to use the {profile.name} profile value.</Text>
+
+        {[
+          ['distanceThreshold', 'Send after moving (m)', String(profile.send.distanceThreshold)],
+          ...MOTION_STATES.map((state) => [
+            state,
+            `Send interval ${state} (s)`,
+            String(profile.send.intervals[state] / 1000)
+          ])
+        ].map(([field, label, placeholder]) => (
+          <View key={field} style={styles.row}>
+            <Text style={styles.label}>{label}</Text>
+            <TextInput
+              style={styles.numberInput}
+              value={form[field]}
+              onChangeText={(value) => setField(field, value)}
+              placeholder={placeholder}
+              keyboardType="numeric"
+            />
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.section}>
+        <TouchableOpacity style={styles.button} onPress={save} disabled={isSaving}>
+          <Text style={styles.buttonText}>{isSaving ? 'Saving...' : 'Save Settings'}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={[styles.button, styles.dangerButton]} onPress={confirmReset}>
+          <Text style={styles.buttonText}>Reset to Defaults</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 10,
+    padding: 15,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 5,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 5,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#F44336',
+    marginBottom: 5,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 14,
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  numberInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 6,
+    fontSize: 14,
+    width: 80,
+    textAlign: 'right',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  dangerButton: {
+    backgroundColor: '#F44336',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -3,7 +3,7 @@ import { View, Text, StyleSheet, Switch, TouchableOpacity, Alert, ScrollView, Pl
 import * as Location from 'expo-location';
 import * as Network from 'expo-network';
 import * as Clipboard from 'expo-clipboard';
-import { getBuffer, clearBuffer } from '../services/storage';
+import { getBuffer, getBufferCount, clearBuffer, getQuarantineCount } from '../services/storage';
 import { 
   requestForegroundPermissions, 
   requestBackgroundPermissions, 
@@ -12,41 +12,106 @@ import {
   startBackgroundLocationUpdates,
   stopBackgroundLocationUpdates,
   flushBuffer,
-  intervalFromSpeed,
-  haversineDistance,
+  intervalFromMotionState,
+  getActiveProfile,
   getLastSentLocation,
-  sendPayload
+  loadLastSentLocation,
+  getLastPrivacyStatus,
+  reloadTrackingProfile,
+  LOCATION_TASK_NAME
 } from '../services/locationService';
+import { sendHeartbeatIfDue, startHeartbeatTask, stopHeartbeatTask } from '../services/heartbeat';
+import { getEmergencyState, startEmergency, cancelEmergency, syncEmergencyState } from '../services/emergency';
+import { getCurrentUser, logout } from '../services/authService';
+import { getFixFilterStats, REJECTION_REASONS } from '../services/fixFilter';
+import { processFix, resetAdaptiveMotion } from '../services/decisionEngine';
+import {
+  SHARE_DURATIONS,
+  createShareSession,
+  revokeShareSession,
+  getActiveShareSession
+} from '../services/shareService';
 
-// Constant for adaptive location sharing
-const DISTANCE_THRESHOLD = 10; // meters
-
-export default function TrackingScreen() {
+export default function TrackingScreen({ navigation }) {
   const [isTracking, setIsTracking] = useState(false);
   const [permissionStatus, setPermissionStatus] = useState('unknown');
   const [lastSentLocation, setLastSentLocation] = useState(null);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [bufferCount, setBufferCount] = useState(0);
+  const [quarantineCount, setQuarantineCount] = useState(0);
   const [networkStatus, setNetworkStatus] = useState('unknown');
+  const [shareSession, setShareSession] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [privacyStatus, setPrivacyStatus] = useState(null);
+  const [motionState, setMotionState] = useState(null);
+  const [trackingProfile, setTrackingProfile] = useState(null);
+  const [filterStats, setFilterStats] = useState(null);
+  const [lastDecision, setLastDecision] = useState(null);
+  const [emergency, setEmergency] = useState(null);
 
   // Check initial permissions and network status
   useEffect(() => {
     checkPermissions();
     checkNetworkStatus();
+    restoreTracking();
+    loadShareSession();
+    loadLastSentLocation().then(setLastSentLocation);
     
     // Set up interval to check network status and flush buffer
     const interval = setInterval(() => {
       checkNetworkStatus();
-      flushBuffer();
+      flushBuffer().then(updateBufferCount);
+      // Background fixes update the privacy status and last sent location too
+      setPrivacyStatus(getLastPrivacyStatus());
+      setLastSentLocation(getLastSentLocation());
+      // Retry an SOS alert or cancellation the server hasn't acknowledged
+      syncEmergencyState().then(setEmergency);
     }, 30000); // Check every 30 seconds
     
     return () => clearInterval(interval);
   }, []);
 
+  // Reload the signed-in user, tracking profile and SOS state whenever the screen comes
+  // into view (e.g. after signing in, choosing another profile or reopening the app during an SOS)
+  useEffect(() => {
+    const reload = () => {
+      loadCurrentUser();
+      getActiveProfile().then(setTrackingProfile);
+      getEmergencyState().then(setEmergency);
+    };
+    reload();
+    return navigation.addListener('focus', reload);
+  }, [navigation]);
+
   // Update buffer count when tracking changes
   useEffect(() => {
     updateBufferCount();
   }, [isTracking]);
+  
+  // While tracking, send heartbeats even if the OS delivers no fixes because nothing moves
+  useEffect(() => {
+    if (!isTracking) {
+      return undefined;
+    }
+    const heartbeat = setInterval(() => {
+      sendHeartbeatIfDue();
+    }, 60000); // Check every minute
+    return () => clearInterval(heartbeat);
+  }, [isTracking]);
+
+  /**
+   * Pick up tracking that kept running in the background, e.g. during an SOS, when the app is reopened
+   */
+  const restoreTracking = async () => {
+    try {
+      if (await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK_NAME)) {
+        await startForegroundLocationUpdates(handleLocationUpdate);
+        setIsTracking(true);
+      }
+    } catch (error) {
+      console.warn('Error checking background updates:', error);
+    }
+  };
 
   /**
    * Check current permission status
@@ -64,6 +129,37 @@ export default function TrackingScreen() {
     }
   };
 
+  /**
+   * Load the signed-in user
+   */
+  const loadCurrentUser = async () => {
+    setCurrentUser(await getCurrentUser());
+  };
+
+  /**
+   * Sign out after confirmation, stopping tracking first
+   */
+  const confirmLogout = () => {
+    Alert.alert(
+      'Sign Out',
+      'Location tracking will stop until you sign in again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: async () => {
+            if (isTracking) {
+              await toggleTracking();
+            }
+            await logout();
+            setCurrentUser(null);
+          }
+        }
+      ]
+    );
+  };
+
   /**
    * Check network connectivity
    */
@@ -82,8 +178,9 @@ export default function TrackingScreen() {
    */
   const updateBufferCount = async () => {
     try {
-      const buffer = await getBuffer();
-      setBufferCount(buffer.length);
+      setBufferCount(await getBufferCount());
+      setQuarantineCount(await getQuarantineCount());
+      setFilterStats(await getFixFilterStats());
     } catch (error) {
       console.error('Error updating buffer count:', error);
     }
@@ -201,17 +298,31 @@ export default function TrackingScreen() {
    */
   const toggleTracking = async () => {
     if (isTracking) {
+      if (emergency && emergency.active) {
+        Alert.alert('SOS Active', 'Cancel the SOS before stopping tracking');
+        return;
+      }
+      
       // Stop tracking
       stopForegroundLocationUpdates();
+      await resetAdaptiveMotion();
+      setMotionState(null);
+      setLastDecision(null);
       try {
         await stopBackgroundLocationUpdates();
       } catch (error) {
         console.warn('Error stopping background updates:', error);
       }
+      await stopHeartbeatTask();
       setIsTracking(false);
       Alert.alert('Tracking Stopped', 'Location tracking has been disabled');
     } else {
       // Start tracking
+      if (!currentUser) {
+        Alert.alert('Sign In Required', 'Please sign in before sharing your location');
+        return;
+      }
+      
       if (permissionStatus !== 'granted') {
         Alert.alert('Permission Required', 'Please grant location permissions first');
         return;
@@ -224,6 +335,9 @@ export default function TrackingScreen() {
         // Start background updates
         await startBackgroundLocationUpdates();
         
+        // Heartbeats on a schedule of their own, as a still phone gets no background fixes
+        await startHeartbeatTask();
+        
         setIsTracking(true);
         Alert.alert('Tracking Started', 'Location tracking is now active');
       } catch (error) {
@@ -234,69 +348,100 @@ export default function TrackingScreen() {
   };
 
   /**
-   * Handle location updates from foreground service with adaptive logic
+   * Start an SOS: track at the highest accuracy, send every fix and alert the emergency contacts
+   * Tracking is started if it is off; it stays on until the SOS is cancelled.
    */
-  const handleLocationUpdate = async (location) => {
-    console.debug('Foreground location update:', location);
-    setCurrentLocation(location);
+  const startSos = async () => {
+    if (!currentUser) {
+      Alert.alert('Sign In Required', 'Please sign in before sending an SOS');
+      return;
+    }
+    
+    if (permissionStatus !== 'granted') {
+      Alert.alert('Permission Required', 'Please grant location permissions first');
+      return;
+    }
     
-    // Apply the same adaptive logic as in background task
     try {
-      // Create payload similar to background task
-      const payload = {
-        userId: 'user-123', // In a real app, this would come from auth
-        lat: location.coords.latitude,
-        lon: location.coords.longitude,
-        speed: location.coords.speed !== null ? location.coords.speed : 0,
-        accuracy: location.coords.accuracy,
-        timestamp: new Date(location.timestamp).toISOString()
-      };
-      
-      // Check if we should send this location based on adaptive logic
-      // We'll implement a simplified version here for demonstration
-      const lastSent = getLastSentLocation();
+      setEmergency(await startEmergency());
       
-      // If this is the first location or we should send based on adaptive logic
-      let shouldSend = !lastSent;
+      // Location updates pick up the emergency sampling when (re)started
+      if (isTracking) {
+        setTrackingProfile(await reloadTrackingProfile());
+      } else {
+        await startForegroundLocationUpdates(handleLocationUpdate);
+        await startBackgroundLocationUpdates();
+        await startHeartbeatTask();
+        setIsTracking(true);
+      }
       
-      if (lastSent) {
-        // Calculate distance from last sent location
-        const distance = haversineDistance(
-          lastSent.lat,
-          lastSent.lon,
-          payload.lat,
-          payload.lon
-        );
-        
-        // Calculate time since last sent (both in milliseconds now)
-        const timeSinceLast = location.timestamp - lastSent.timestamp;
-        
-        // Get current interval based on speed
-        const currentSpeed = payload.speed;
-        const currentInterval = intervalFromSpeed(currentSpeed);
-        
-        console.debug(`Foreground - Distance: ${distance}m, Time since last: ${timeSinceLast}ms, Interval: ${currentInterval}ms`);
-        
-        // Check if enough time has passed and user has moved enough
-        if (distance >= DISTANCE_THRESHOLD && timeSinceLast >= currentInterval) {
-          shouldSend = true;
+      const state = await syncEmergencyState();
+      setEmergency(state);
+      Alert.alert(
+        'SOS Active',
+        state.alertSentAt
+          ? 'Your emergency contacts have been alerted and are receiving your exact location'
+          : 'Your emergency contacts will be alerted as soon as the server can be reached'
+      );
+    } catch (error) {
+      console.error('Error starting SOS:', error);
+      Alert.alert('Error', 'Failed to start SOS: ' + error.message);
+    }
+  };
+
+  /**
+   * Cancel the active SOS after confirmation and go back to the tracking profile
+   */
+  const confirmCancelSos = () => {
+    Alert.alert(
+      'Cancel SOS',
+      'Your emergency contacts will be told you are safe, and tracking goes back to your profile.',
+      [
+        { text: 'Keep SOS', style: 'cancel' },
+        {
+          text: 'Cancel SOS',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setEmergency(await cancelEmergency());
+              // Also drops the emergency sampling of background updates this screen didn't start
+              setTrackingProfile(await reloadTrackingProfile());
+              setEmergency(await syncEmergencyState());
+            } catch (error) {
+              console.error('Error cancelling SOS:', error);
+              Alert.alert('Error', 'Failed to cancel SOS: ' + error.message);
+            }
+          }
         }
+      ]
+    );
+  };
+
+  /**
+   * Handle location updates from foreground service with adaptive logic
+   */
+  const handleLocationUpdate = async (rawLocation) => {
+    console.debug('Foreground location update:', rawLocation);
+    setCurrentLocation(rawLocation);
+    
+    // Same pipeline and send decision as the background task
+    try {
+      const result = await processFix(rawLocation, 'foreground');
+      if (!result.accepted) {
+        setFilterStats(await getFixFilterStats());
+        return;
       }
       
-      if (shouldSend) {
-        console.debug('Sending foreground location update');
-        const success = await sendPayload(payload);
+      setMotionState(result.motion);
+      setLastDecision(result.decision);
+      
+      if (result.delivery) {
+        const { success, privacy } = result.delivery;
+        setPrivacyStatus(privacy);
         if (success) {
-          // Update the UI with the new last sent location
-          setLastSentLocation({
-            lat: payload.lat,
-            lon: payload.lon,
-            speed: payload.speed,
-            timestamp: payload.timestamp
-          });
+          // The location as the server received it (blurred inside privacy zones)
+          setLastSentLocation(getLastSentLocation());
         }
-      } else {
-        console.debug('Skipping foreground location update (adaptive logic)');
       }
     } catch (err) {
       console.error('Error processing foreground location:', err);
@@ -340,6 +485,24 @@ export default function TrackingScreen() {
     }
   };
 
+  /**
+   * Show why recent fixes were rejected by the quality filter
+   */
+  const showFilteredFixes = () => {
+    if (!filterStats || filterStats.recent.length === 0) {
+      Alert.alert('No Filtered Fixes', 'No fixes have been rejected');
+      return;
+    }
+    
+    const totals = Object.entries(filterStats.rejected)
+      .map(([reason, count]) => `${REJECTION_REASONS[reason] || reason}: ${count}`)
+      .join('\n');
+    const recent = filterStats.recent.slice().reverse()
+      .map(({ timestamp, reason, detail }) => `${new Date(timestamp).toLocaleTimeString()} ${reason}: ${detail}`)
+      .join('\n');
+    Alert.alert('Filtered Fixes', `${totals}\n\nRecent:\n${recent}`);
+  };
+
   /**
    * Share current location via WhatsApp
    */
@@ -371,38 +534,139 @@ export default function TrackingScreen() {
       // Combine message with maps link
       const fullMessage = `${message}\n\n${mapsLink}`;
       
-      // Encode message for URL
-      const encodedMessage = encodeURIComponent(fullMessage);
-      
-      // WhatsApp URL schemes
-      let whatsappUrl;
-      if (Platform.OS === 'android') {
-        whatsappUrl = `whatsapp://send?text=${encodedMessage}`;
-      } else {
-        whatsappUrl = `whatsapp://send?text=${encodedMessage}`;
-      }
-      
-      // Try to open WhatsApp
-      const supported = await Linking.canOpenURL(whatsappUrl);
-      if (supported) {
-        await Linking.openURL(whatsappUrl);
-      } else {
-        // Fallback: Copy to clipboard and show alert
-        await Clipboard.setStringAsync(fullMessage);
-        Alert.alert(
-          'WhatsApp Not Available',
-          'WhatsApp is not installed on your device. Your location details have been copied to the clipboard.\n\n' +
-          'You can paste this information into any messaging app.\n\n' +
-          'Location details:\n' + fullMessage,
-          [{ text: 'OK' }]
-        );
-      }
+      await sendViaWhatsApp(fullMessage, 'Your location details have been copied to the clipboard.');
     } catch (error) {
       console.error('Error sharing location via WhatsApp:', error);
       Alert.alert('Error', 'Failed to share location via WhatsApp: ' + error.message);
     }
   };
 
+  /**
+   * Open WhatsApp with a prefilled message, or copy it to the clipboard if unavailable
+   */
+  const sendViaWhatsApp = async (fullMessage, copiedNotice) => {
+    // Encode message for URL
+    const encodedMessage = encodeURIComponent(fullMessage);
+    
+    // WhatsApp URL scheme
+    const whatsappUrl = `whatsapp://send?text=${encodedMessage}`;
+    
+    // Try to open WhatsApp
+    const supported = await Linking.canOpenURL(whatsappUrl);
+    if (supported) {
+      await Linking.openURL(whatsappUrl);
+    } else {
+      // Fallback: Copy to clipboard and show alert
+      await Clipboard.setStringAsync(fullMessage);
+      Alert.alert(
+        'WhatsApp Not Available',
+        `WhatsApp is not installed on your device. ${copiedNotice}\n\n` +
+        'You can paste this information into any messaging app.\n\n' +
+        'Details:\n' + fullMessage,
+        [{ text: 'OK' }]
+      );
+    }
+  };
+
+  /**
+   * Load the active share session, if any
+   */
+  const loadShareSession = async () => {
+    setShareSession(await getActiveShareSession());
+  };
+
+  /**
+   * Send the link of a share session via WhatsApp
+   */
+  const sendShareLink = async (session) => {
+    const until = session.expiresAt ?
+      `until ${new Date(session.expiresAt).toLocaleString()}` : 'until I stop sharing';
+    const message = `📍 Follow my live location ${until}:\n\n${session.url}\n\n` +
+      `Shared via Adaptive Location Sharing App`;
+    await sendViaWhatsApp(message, 'The share link has been copied to the clipboard.');
+  };
+
+  /**
+   * Create a time-limited share link and send it
+   */
+  const shareLiveLink = () => {
+    Alert.alert(
+      'Share Live Location',
+      'How long should the link stay valid?',
+      [
+        ...SHARE_DURATIONS.map(({ label, duration }) => ({
+          text: label,
+          onPress: async () => {
+            try {
+              const session = await createShareSession(duration);
+              setShareSession(session);
+              await sendShareLink(session);
+            } catch (error) {
+              console.error('Error creating share link:', error);
+              Alert.alert('Error', 'Failed to create share link: ' + error.message);
+            }
+          }
+        })),
+        // Android alerts show at most three buttons; tapping outside cancels there
+        ...(Platform.OS === 'ios' ? [{ text: 'Cancel', style: 'cancel' }] : [])
+      ],
+      { cancelable: true }
+    );
+  };
+
+  /**
+   * Revoke the active share link after confirmation
+   */
+  const stopSharingLink = () => {
+    Alert.alert(
+      'Stop Sharing',
+      'The link will stop showing your location immediately.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Stop Sharing',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await revokeShareSession(shareSession);
+              setShareSession(null);
+            } catch (error) {
+              console.error('Error revoking share link:', error);
+              Alert.alert('Error', 'Failed to stop sharing: ' + error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  /**
+   * Describe how privacy zones affected the most recent fix
+   */
+  const describePrivacyStatus = () => {
+    if (!privacyStatus) return 'N/A';
+    if (privacyStatus.status === 'suppressed') return `NOT SENT (${privacyStatus.zoneName})`;
+    if (privacyStatus.status === 'blurred') return `BLURRED (${privacyStatus.zoneName})`;
+    return 'EXACT';
+  };
+
+  /**
+   * Describe how many fixes the quality filter rejected
+   */
+  const describeFilterStats = () => {
+    if (!filterStats) return 'N/A';
+    const rejected = Object.values(filterStats.rejected).reduce((sum, count) => sum + count, 0);
+    return `${rejected} of ${filterStats.accepted + rejected}`;
+  };
+
+  /**
+   * Describe the send decision for the most recent fix
+   */
+  const describeLastDecision = () => {
+    if (!lastDecision) return 'N/A';
+    return `${lastDecision.send ? 'SEND' : 'SKIP'} (${lastDecision.reason.replace('_', ' ')})`;
+  };
+
   /**
    * Convert speed from m/s to km/h
    */
@@ -426,13 +690,12 @@ export default function TrackingScreen() {
   };
 
   /**
-   * Calculate next interval based on last location speed
+   * Calculate next interval based on the current motion state
    */
   const getNextInterval = () => {
-    if (!currentLocation || !currentLocation.coords) return 'Unknown';
+    if (!motionState) return 'Unknown';
     
-    const speed = currentLocation.coords.speed !== null ? currentLocation.coords.speed : 0;
-    const intervalMs = intervalFromSpeed(speed);
+    const intervalMs = intervalFromMotionState(motionState.state);
     
     if (intervalMs >= 60000) {
       return `${intervalMs / 60000} min`;
@@ -458,6 +721,26 @@ export default function TrackingScreen() {
           </Text>
         </View>
         
+        {emergency && emergency.active ? (
+          <View style={styles.sosBanner}>
+            <Text style={styles.sosTitle}>SOS ACTIVE</Text>
+            <Text style={styles.sosText}>
+              Since {new Date(emergency.startedAt).toLocaleTimeString()}. Every fix is sent at the highest accuracy.
+            </Text>
+            <Text style={styles.sosText}>
+              {emergency.alertSentAt ? 'Emergency contacts alerted' : 'Alert pending, waiting for the server'}
+            </Text>
+            <TouchableOpacity style={styles.sosCancelButton} onPress={confirmCancelSos}>
+              <Text style={styles.sosCancelText}>Cancel SOS</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity style={styles.sosButton} onLongPress={startSos}>
+            <Text style={styles.buttonText}>SOS</Text>
+            <Text style={styles.sosHint}>Hold to alert your emergency contacts</Text>
+          </TouchableOpacity>
+        )}
+        
         <TouchableOpacity 
           style={styles.button} 
           onPress={requestPermissions}
@@ -483,6 +766,75 @@ export default function TrackingScreen() {
         >
           <Text style={styles.buttonText}>Open App Settings</Text>
         </TouchableOpacity>
+        
+        <TouchableOpacity 
+          style={[styles.button, { backgroundColor: '#607D8B' }]} 
+          onPress={() => navigation.navigate('Profiles')}
+        >
+          <Text style={styles.buttonText}>
+            Tracking Profile: {trackingProfile ? trackingProfile.name : '...'}
+          </Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity 
+          style={[styles.button, { backgroundColor: '#607D8B' }]} 
+          onPress={() => navigation.navigate('Places')}
+        >
+          <Text style={styles.buttonText}>Manage Places</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity 
+          style={[styles.button, { backgroundColor: '#607D8B' }]} 
+          onPress={() => navigation.navigate('PrivacyZones')}
+        >
+          <Text style={styles.buttonText}>Privacy Zones</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity 
+          style={[styles.button, { backgroundColor: '#607D8B' }]} 
+          onPress={() => navigation.navigate('Trips')}
+        >
+          <Text style={styles.buttonText}>Trips</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity 
+          style={[styles.button, { backgroundColor: '#607D8B' }]} 
+          onPress={() => navigation.navigate('History')}
+        >
+          <Text style={styles.buttonText}>History</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity 
+          style={[styles.button, { backgroundColor: '#607D8B' }]} 
+          onPress={() => navigation.navigate('Settings')}
+        >
+          <Text style={styles.buttonText}>Settings</Text>
+        </TouchableOpacity>
+      </View>
+      
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Account</Text>
+        
+        {currentUser ? (
+          <>
+            <View style={styles.row}>
+              <Text style={styles.label}>Signed in as:</Text>
+              <Text style={styles.value}>{currentUser.username}</Text>
+            </View>
+            
+            <TouchableOpacity style={styles.smallButton} onPress={() => navigation.navigate('Contacts')}>
+              <Text style={styles.smallButtonText}>Contacts</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity style={styles.smallButton} onPress={confirmLogout}>
+              <Text style={styles.smallButtonText}>Sign Out</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <TouchableOpacity style={styles.button} onPress={() => navigation.navigate('Login')}>
+            <Text style={styles.buttonText}>Sign In</Text>
+          </TouchableOpacity>
+        )}
       </View>
       
       <View style={styles.section}>
@@ -503,6 +855,21 @@ export default function TrackingScreen() {
           <Text style={styles.value}>{bufferCount}</Text>
         </View>
         
+        <View style={styles.row}>
+          <Text style={styles.label}>Rejected Points:</Text>
+          <Text style={styles.value}>{quarantineCount}</Text>
+        </View>
+        
+        <View style={styles.row}>
+          <Text style={styles.label}>Filtered Fixes:</Text>
+          <Text style={styles.value}>{describeFilterStats()}</Text>
+        </View>
+        
+        <View style={styles.row}>
+          <Text style={styles.label}>Privacy:</Text>
+          <Text style={styles.value}>{describePrivacyStatus()}</Text>
+        </View>
+        
         <TouchableOpacity style={styles.smallButton} onPress={showBufferedLocations}>
           <Text style={styles.smallButtonText}>View Buffered Locations</Text>
         </TouchableOpacity>
@@ -510,6 +877,10 @@ export default function TrackingScreen() {
         <TouchableOpacity style={styles.smallButton} onPress={clearLocationBuffer}>
           <Text style={styles.smallButtonText}>Clear Buffer</Text>
         </TouchableOpacity>
+        
+        <TouchableOpacity style={styles.smallButton} onPress={showFilteredFixes}>
+          <Text style={styles.smallButtonText}>View Filtered Fixes</Text>
+        </TouchableOpacity>
       </View>
       
       <View style={styles.section}>
@@ -537,11 +908,24 @@ export default function TrackingScreen() {
               <Text style={styles.value}>{currentLocation.coords.accuracy?.toFixed(1) || 'N/A'} m</Text>
             </View>
             
+            <View style={styles.row}>
+              <Text style={styles.label}>Motion:</Text>
+              <Text style={styles.value}>
+                {motionState?.state || 'UNKNOWN'}
+                {motionState?.candidate ? ` → ${motionState.candidate.state}?` : ''}
+              </Text>
+            </View>
+            
             <View style={styles.row}>
               <Text style={styles.label}>Next Interval:</Text>
               <Text style={styles.value}>{getNextInterval()}</Text>
             </View>
             
+            <View style={styles.row}>
+              <Text style={styles.label}>Last Decision:</Text>
+              <Text style={styles.value}>{describeLastDecision()}</Text>
+            </View>
+            
             {/* Add WhatsApp share button */}
             <TouchableOpacity 
               style={[styles.button, { backgroundColor: '#25D366' }]} 
@@ -555,6 +939,35 @@ export default function TrackingScreen() {
         )}
       </View>
       
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Live Share Link</Text>
+        
+        {shareSession ? (
+          <>
+            <View style={styles.row}>
+              <Text style={styles.label}>Expires:</Text>
+              <Text style={styles.value}>
+                {shareSession.expiresAt ? new Date(shareSession.expiresAt).toLocaleTimeString() : 'When stopped'}
+              </Text>
+            </View>
+            
+            <Text style={styles.link} selectable>{shareSession.url}</Text>
+            
+            <TouchableOpacity style={styles.smallButton} onPress={() => sendShareLink(shareSession)}>
+              <Text style={styles.smallButtonText}>Send Link Again</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity style={[styles.smallButton, { backgroundColor: '#F44336' }]} onPress={stopSharingLink}>
+              <Text style={styles.smallButtonText}>Stop Sharing</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <TouchableOpacity style={[styles.button, { backgroundColor: '#25D366' }]} onPress={shareLiveLink}>
+            <Text style={styles.buttonText}>Share Live Location Link</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Last Sent Location</Text>
         
@@ -660,10 +1073,58 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  link: {
+    fontSize: 14,
+    color: '#2196F3',
+    paddingVertical: 5,
+  },
   placeholder: {
     textAlign: 'center',
     color: '#999',
     fontStyle: 'italic',
     padding: 10,
   },
+  sosButton: {
+    backgroundColor: '#F44336',
+    padding: 16,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  sosHint: {
+    color: 'white',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  sosBanner: {
+    backgroundColor: '#FFEBEE',
+    borderColor: '#F44336',
+    borderWidth: 2,
+    borderRadius: 6,
+    padding: 12,
+    marginVertical: 10,
+  },
+  sosTitle: {
+    color: '#F44336',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  sosText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 3,
+  },
+  sosCancelButton: {
+    backgroundColor: '#F44336',
+    padding: 10,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  sosCancelText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
 });
\ No newline at end of file
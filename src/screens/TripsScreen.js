@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert, ScrollView } from 'react-native';
+import { getRecentTrips, fetchServerTrips } from '../services/trips';
+
+const SOURCES = [
+  { value: 'device', label: 'This Device' },
+  { value: 'server', label: 'Server' }
+];
+
+const MOTION_LABELS = {
+  STILL: 'Still',
+  WALKING: 'Walking',
+  BIKE: 'Cycling',
+  VEHICLE: 'Vehicle'
+};
+
+/**
+ * Format a duration in milliseconds as hours and minutes
+ */
+const formatDuration = (duration) => {
+  const minutes = Math.round(duration / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/**
+ * Format a distance in meters
+ */
+const formatDistance = (distance) => {
+  return distance >= 1000 ? `${(distance / 1000).toFixed(2)} km` : `${Math.round(distance)} m`;
+};
+
+/**
+ * Convert speed from m/s to km/h
+ */
+const speedToKmh = (speed) => {
+  return (speed * 3.6).toFixed(1);
+};
+
+export default function TripsScreen() {
+  const [source, setSource] = useState('device');
+  const [trips, setTrips] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Reload trips whenever the source changes
+  useEffect(() => {
+    loadTrips();
+  }, [source]);
+
+  /**
+   * Load trips from the selected source
+   */
+  const loadTrips = async () => {
+    setIsLoading(true);
+    try {
+      setTrips(source === 'server' ? await fetchServerTrips() : await getRecentTrips());
+    } catch (error) {
+      console.error('Error loading trips:', error);
+      setTrips([]);
+      Alert.alert('Error', 'Failed to load trips: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <View style={styles.optionRow}>
+          {SOURCES.map(({ value, label }) => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.option, source === value && styles.optionSelected]}
+              onPress={() => setSource(value)}
+            >
+              <Text style={source === value ? styles.optionTextSelected : styles.optionText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <TouchableOpacity style={styles.button} onPress={loadTrips} disabled={isLoading}>
+          <Text style={styles.buttonText}>{isLoading ? 'Loading...' : 'Refresh'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Recent Trips</Text>
+
+        {trips.length > 0 ? (
+          trips.map((trip) => (
+            <View key={trip.startTime} style={styles.tripRow}>
+              <Text style={styles.tripTitle}>
+                {new Date(trip.startTime).toLocaleString()} · {MOTION_LABELS[trip.motionClass]}
+              </Text>
+              <View style={styles.row}>
+                <Text style={styles.label}>Distance:</Text>
+                <Text style={styles.value}>{formatDistance(trip.distance)}</Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>Duration:</Text>
+                <Text style={styles.value}>{formatDuration(trip.duration)}</Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>Avg / Max Speed:</Text>
+                <Text style={styles.value}>
+                  {speedToKmh(trip.averageSpeed)} / {speedToKmh(trip.maxSpeed)} km/h
+                </Text>
+              </View>
+              <Text style={styles.label}>Ended {new Date(trip.endTime).toLocaleTimeString()}</Text>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.placeholder}>{isLoading ? 'Loading trips...' : 'No trips recorded yet'}</Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 10,
+    padding: 15,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: '#333',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 5,
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    borderRadius: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  optionSelected: {
+    backgroundColor: '#2196F3',
+  },
+  optionText: {
+    color: '#2196F3',
+  },
+  optionTextSelected: {
+    color: 'white',
+  },
+  tripRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  tripTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  label: {
+    fontSize: 14,
+    color: '#666',
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    padding: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  placeholder: {
+    textAlign: 'center',
+    color: '#999',
+    fontStyle: 'italic',
+    padding: 10,
+  },
+});
@@ -0,0 +1,70 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const ADAPTIVE_STATE_KEY = 'adaptive_state';
+
+// Snapshots with another version were written by an incompatible build and are ignored
+const STATE_VERSION = 1;
+
+// State before anything was persisted
+const EMPTY_STATE = {
+  lastSentLocation: null, // { lat, lon, speed, timestamp } acknowledged by the server
+  lastDecidedFix: null,   // { lat, lon, timestamp } the send decision compares against
+  motion: null,           // motion state machine internals, see exportMotionState()
+  filter: null,           // fix filter internals, see exportFilterState()
+  lastHeartbeatAt: null,  // time of the last heartbeat the server acknowledged
+  savedAt: null
+};
+
+// Promise chain serializing writes from the foreground handler and the background task
+let stateLock = Promise.resolve();
+
+/**
+ * Run a state operation once all previously queued operations have finished
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withStateLock(operation) {
+  const result = stateLock.then(operation, operation);
+  stateLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Get the persisted adaptive state
+ * The OS may kill the JS context at any time and restart only the background
+ * task, so everything the send decision depends on is kept here.
+ * @returns {Promise<Object>} { lastSentLocation, lastDecidedFix, motion, filter, lastHeartbeatAt, savedAt },
+ *   each null if it was never saved
+ */
+export async function loadAdaptiveState() {
+  try {
+    const stored = await AsyncStorage.getItem(ADAPTIVE_STATE_KEY);
+    const state = stored ? JSON.parse(stored) : null;
+    if (state && state.version === STATE_VERSION) {
+      return { ...EMPTY_STATE, ...state };
+    }
+  } catch (error) {
+    console.error('Error loading adaptive state:', error);
+  }
+  return { ...EMPTY_STATE };
+}
+
+/**
+ * Persist parts of the adaptive state, keeping the others
+ * @param {Object} changes - Any of { lastSentLocation, lastDecidedFix, motion, filter, lastHeartbeatAt }
+ */
+export function saveAdaptiveState(changes) {
+  return withStateLock(async () => {
+    try {
+      const state = await loadAdaptiveState();
+      await AsyncStorage.setItem(ADAPTIVE_STATE_KEY, JSON.stringify({
+        ...state,
+        ...changes,
+        version: STATE_VERSION,
+        savedAt: Date.now()
+      }));
+    } catch (error) {
+      console.error('Error saving adaptive state:', error);
+    }
+  });
+}
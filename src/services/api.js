@@ -0,0 +1,90 @@
+import { getServerUrl } from './config';
+import { getAccessToken, getCurrentUser } from './authService';
+import { getSettings, saveSettings } from './settings';
+
+export { getServerUrl };
+
+/**
+ * Build request headers including the signed-in user's access token
+ * A token entered in Settings takes the place of the session's token.
+ * @returns {Promise<Object>} Headers for server requests
+ */
+export async function buildHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  
+  // Access token is refreshed automatically when it is about to expire
+  const { authToken } = await getSettings();
+  const accessToken = authToken || await getAccessToken();
+  if (accessToken) {
+    headers['Authorization'] = `Bearer ${accessToken}`;
+  }
+  
+  return headers;
+}
+
+/**
+ * Get the user that requests are made as
+ * With a token entered in Settings that is the user the server named when the token
+ * was saved, so payloads always match the token that authenticates them.
+ * @returns {Promise<Object|null>} { id, username } or null if signed out and no token is set
+ */
+export async function getRequestUser() {
+  const { authToken, authTokenUser } = await getSettings();
+  return authToken ? authTokenUser : getCurrentUser();
+}
+
+/**
+ * Ask the server which user a token belongs to, before it is saved in Settings
+ * @param {string} token - Access token
+ * @param {string|null} serverUrl - Server to ask, null for the current one
+ * @returns {Promise<Object>} { id, username } of the token's user
+ * @throws {Error} If the server refuses the token or it belongs to another user than the signed-in one
+ */
+export async function verifyAuthToken(token, serverUrl = null) {
+  const baseUrl = serverUrl ? serverUrl.replace(/\/+$/, '') : await getServerUrl();
+  const response = await fetch(`${baseUrl}/api/auth/me`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  if (response.status === 401) {
+    throw new Error('The server did not accept this auth token; it may have expired');
+  }
+  if (!response.ok) {
+    throw new Error(`Could not check the auth token: server responded with ${response.status}`);
+  }
+
+  const { user } = await response.json();
+  const signedIn = await getCurrentUser();
+  if (signedIn && signedIn.id !== user.id) {
+    throw new Error(`This auth token belongs to ${user.username}, but you are signed in as ${signedIn.username}`);
+  }
+  return user;
+}
+
+/**
+ * Check whether uploads are on hold because the server refused the token entered in Settings
+ * Unlike the session's token it can't be refreshed, so retrying would only use up
+ * the attempts of the buffered payloads until they are quarantined.
+ * @returns {Promise<boolean>} True until a new token is saved or the token is cleared
+ */
+export async function isAuthTokenRejected() {
+  const { authToken, authTokenRejectedAt } = await getSettings();
+  return Boolean(authToken && authTokenRejectedAt);
+}
+
+/**
+ * Put uploads on hold if the server refused the token entered in Settings
+ * @param {number} status - HTTP status of a failed request
+ * @returns {Promise<boolean>} True if the request failed because of that token; the caller
+ *   keeps its payloads buffered without counting an attempt
+ */
+export async function holdOnAuthTokenRejection(status) {
+  const { authToken, authTokenRejectedAt } = await getSettings();
+  if (status !== 401 || !authToken) {
+    return false;
+  }
+  if (!authTokenRejectedAt) {
+    console.warn('Server refused the auth token from Settings, holding uploads until it is replaced');
+    await saveSettings({ authTokenRejectedAt: new Date().toISOString() });
+  }
+  return true;
+}
@@ -0,0 +1,167 @@
+import * as SecureStore from 'expo-secure-store';
+import { getServerUrl } from './config';
+
+// SecureStore keys for the signed-in session
+const ACCESS_TOKEN_KEY = 'auth_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const TOKEN_EXPIRY_KEY = 'auth_token_expires_at';
+const USER_KEY = 'auth_user';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN = 60 * 1000; // 1 minute
+
+let refreshInProgress = null;
+
+/**
+ * Store the tokens and user returned by the server
+ * @param {Object} session - { user, accessToken, refreshToken, expiresIn }
+ */
+async function saveSession({ user, accessToken, refreshToken, expiresIn }) {
+  await SecureStore.setItemAsync(ACCESS_TOKEN_KEY, accessToken);
+  await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refreshToken);
+  await SecureStore.setItemAsync(TOKEN_EXPIRY_KEY, String(Date.now() + expiresIn * 1000));
+  await SecureStore.setItemAsync(USER_KEY, JSON.stringify(user));
+}
+
+/**
+ * Remove the stored session
+ */
+async function clearSession() {
+  await SecureStore.deleteItemAsync(ACCESS_TOKEN_KEY);
+  await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+  await SecureStore.deleteItemAsync(TOKEN_EXPIRY_KEY);
+  await SecureStore.deleteItemAsync(USER_KEY);
+}
+
+/**
+ * Send credentials to an auth route and store the resulting session
+ * @param {string} path - '/register' or '/login'
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Signed-in user
+ */
+async function authenticate(path, username, password) {
+  const response = await fetch(`${await getServerUrl()}/api/auth${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Server responded with ${response.status}`);
+  }
+
+  await saveSession(body);
+  return body.user;
+}
+
+/**
+ * Create an account and sign in
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export function register(username, password) {
+  return authenticate('/register', username, password);
+}
+
+/**
+ * Sign in with an existing account
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export function login(username, password) {
+  return authenticate('/login', username, password);
+}
+
+/**
+ * Sign out and revoke the refresh token on the server
+ */
+export async function logout() {
+  try {
+    const refreshToken = await SecureStore.getItemAsync(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      await fetch(`${await getServerUrl()}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    }
+  } catch (error) {
+    // The local session is cleared even if the server can't be reached
+    console.error('Error revoking refresh token:', error);
+  }
+  await clearSession();
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object|null>} { id, username } or null if signed out
+ */
+export async function getCurrentUser() {
+  try {
+    const user = await SecureStore.getItemAsync(USER_KEY);
+    return user ? JSON.parse(user) : null;
+  } catch (error) {
+    console.error('Error getting current user:', error);
+    return null;
+  }
+}
+
+/**
+ * Exchange the refresh token for a new token pair
+ * @returns {Promise<string|null>} New access token, or null if the session has ended
+ */
+async function refreshTokens() {
+  const refreshToken = await SecureStore.getItemAsync(REFRESH_TOKEN_KEY);
+  if (!refreshToken) {
+    return null;
+  }
+
+  const response = await fetch(`${await getServerUrl()}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+
+  if (response.status === 401) {
+    console.warn('Session expired, please sign in again');
+    await clearSession();
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Token refresh failed with status ${response.status}`);
+  }
+
+  const session = await response.json();
+  await saveSession(session);
+  return session.accessToken;
+}
+
+/**
+ * Get a valid access token, refreshing it if it is about to expire
+ * Concurrent callers share a single refresh request.
+ * @returns {Promise<string|null>} Access token, or null if signed out
+ */
+export async function getAccessToken() {
+  try {
+    const accessToken = await SecureStore.getItemAsync(ACCESS_TOKEN_KEY);
+    const expiresAt = parseInt(await SecureStore.getItemAsync(TOKEN_EXPIRY_KEY), 10);
+    if (accessToken && expiresAt - REFRESH_MARGIN > Date.now()) {
+      return accessToken;
+    }
+
+    if (!refreshInProgress) {
+      refreshInProgress = refreshTokens().finally(() => {
+        refreshInProgress = null;
+      });
+    }
+    return await refreshInProgress;
+  } catch (error) {
+    // Offline or server error: keep the current token, the request will be retried
+    console.error('Error refreshing access token:', error);
+    return SecureStore.getItemAsync(ACCESS_TOKEN_KEY);
+  }
+}
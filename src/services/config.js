@@ -0,0 +1,14 @@
+import { getSettings } from './settings';
+
+// Server used when neither the Settings screen nor EXPO_PUBLIC_SERVER_URL sets one
+export const DEFAULT_SERVER_URL = process.env.EXPO_PUBLIC_SERVER_URL || 'http://localhost:3000';
+
+/**
+ * Get the base URL of the location server
+ * Read on every request so a URL changed in Settings applies without a restart.
+ * @returns {Promise<string>} Server base URL
+ */
+export async function getServerUrl() {
+  const { serverUrl } = await getSettings();
+  return serverUrl || DEFAULT_SERVER_URL;
+}
@@ -0,0 +1,87 @@
+import { getServerUrl, buildHeaders } from './api';
+
+// Precision levels a contact can be granted, from most to least detailed
+export const PRECISION_LEVELS = [
+  { value: 'exact', label: 'Exact' },
+  { value: 'approximate', label: '~1 km' },
+  { value: 'city', label: 'City' }
+];
+
+/**
+ * Send an authenticated request to a contacts route
+ * @param {string} path - Path below /api/contacts
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function contactsRequest(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${await getServerUrl()}/api/contacts${path}`, {
+    method,
+    headers: await buildHeaders(),
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Server responded with ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Get the signed-in user's contacts and pending invitations
+ * @returns {Promise<Array>} Contacts as returned by the server
+ */
+export async function getContacts() {
+  const { contacts } = await contactsRequest('');
+  return contacts;
+}
+
+/**
+ * Invite another user to share locations
+ * @param {string} username - Username of the user to invite
+ * @returns {Promise<Object>} Pending contact
+ */
+export async function inviteContact(username) {
+  const { contact } = await contactsRequest('/invite', { method: 'POST', body: { username } });
+  return contact;
+}
+
+/**
+ * Accept an incoming invitation
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object>} Accepted contact
+ */
+export async function acceptContact(contactId) {
+  const { contact } = await contactsRequest(`/${contactId}/accept`, { method: 'POST' });
+  return contact;
+}
+
+/**
+ * Decline an invitation or remove a contact
+ * @param {string} contactId - Contact ID
+ */
+export async function removeContact(contactId) {
+  await contactsRequest(`/${contactId}`, { method: 'DELETE' });
+}
+
+/**
+ * Change what the signed-in user shares with a contact
+ * @param {string} contactId - Contact ID
+ * @param {Object} settings - Any of { sharing, precision, allowedHours, emergencyContact }, where
+ *   emergencyContact alerts the contact and shows them the exact location during an SOS
+ * @returns {Promise<Object>} Updated contact
+ */
+export async function updateContactSettings(contactId, settings) {
+  const { contact } = await contactsRequest(`/${contactId}/settings`, { method: 'PATCH', body: settings });
+  return contact;
+}
+
+/**
+ * Get a contact's latest location, as far as they allow it
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object>} Location { lat, lon, accuracy, timestamp, precision }
+ */
+export async function getContactLocation(contactId) {
+  const { location } = await contactsRequest(`/${contactId}/location`);
+  return location;
+}
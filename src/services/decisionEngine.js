@@ -0,0 +1,243 @@
+import { haversineDistance } from './geo';
+import {
+  buildPayload,
+  sendProtectedPayload,
+  reportGeofenceEvents,
+  intervalFromMotionState,
+  getDistanceThreshold,
+  getActiveProfile,
+  loadLastSentLocation
+} from './locationService';
+import { filterFix, exportFilterState, restoreFilterState } from './fixFilter';
+import { updateMotionState, exportMotionState, restoreMotionState, resetMotionState } from './motionState';
+import { loadAdaptiveState, saveAdaptiveState } from './adaptiveState';
+import { addHistoryEntry, updateHistoryStatus } from './historyDb';
+import { isEmergencyActive } from './emergency';
+import { protectLocation } from './privacyZones';
+
+// Results of recently processed fixes, so a fix delivered to both the
+// foreground watcher and the background task is handled only once
+const MAX_HANDLED_FIXES = 100;
+const handledFixes = new Map();
+
+// Last fix the engine decided to send. It is the reference for the next decision
+// even before the upload finishes, so a second fix can't slip in while the first
+// is in flight; fixes that fail to upload are buffered and still count as sent.
+let lastDecidedFix = null;
+
+// Resolves once the persisted state has been restored into this JS context
+let restored = null;
+
+// Promise chain serializing fix processing across the foreground and background paths
+let decisionLock = Promise.resolve();
+
+/**
+ * Run a decision once all previously queued decisions have finished
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withDecisionLock(operation) {
+  const result = decisionLock.then(operation, operation);
+  decisionLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Restore the last decided fix, last sent location, motion state and filter
+ * counters persisted by an earlier JS context
+ * Runs once per context; later calls wait for the first restore to finish.
+ * @returns {Promise<void>}
+ */
+export function restoreAdaptiveState() {
+  if (!restored) {
+    restored = (async () => {
+      const state = await loadAdaptiveState();
+      lastDecidedFix = state.lastDecidedFix;
+      if (state.motion) {
+        restoreMotionState(state.motion);
+      }
+      if (state.filter) {
+        restoreFilterState(state.filter);
+      }
+      await loadLastSentLocation();
+      console.debug(state.savedAt
+        ? `Restored adaptive state saved ${Math.round((Date.now() - state.savedAt) / 1000)}s ago`
+        : 'No adaptive state to restore');
+    })();
+  }
+  return restored;
+}
+
+/**
+ * Persist the state the next decision depends on
+ * @returns {Promise<void>}
+ */
+function persistAdaptiveState() {
+  return saveAdaptiveState({
+    lastDecidedFix,
+    motion: exportMotionState(),
+    filter: exportFilterState()
+  });
+}
+
+/**
+ * Forget the motion state when tracking stops, in memory and in storage
+ * The last sent fix is kept so restarting tracking doesn't resend the same place.
+ * @returns {Promise<void>}
+ */
+export function resetAdaptiveMotion() {
+  return withDecisionLock(async () => {
+    await restoreAdaptiveState();
+    resetMotionState();
+    await persistAdaptiveState();
+  });
+}
+
+/**
+ * Identify a physical fix independently of which path delivered it
+ * @param {Object} location - Location object from expo-location
+ * @returns {string} Key of the fix
+ */
+function fixKey(location) {
+  const { coords, timestamp } = location;
+  return `${timestamp}:${coords.latitude.toFixed(6)}:${coords.longitude.toFixed(6)}`;
+}
+
+/**
+ * Decide whether a fix should be sent
+ * @param {Object} location - Filtered location object from expo-location
+ * @param {string|null} state - Current motion state
+ * @param {Object} options - { emergency } where emergency sends every fix regardless of
+ *   the adaptive thresholds
+ * @returns {Object} { send, reason, distance, elapsed, interval, state } where reason is
+ *   'first_fix', 'emergency', 'moved', 'too_close' or 'too_soon', distance is in meters and
+ *   elapsed and interval are in milliseconds (distance and elapsed are null for the first fix)
+ */
+export function decideSend(location, state, { emergency = false } = {}) {
+  const { coords, timestamp } = location;
+  const interval = intervalFromMotionState(state);
+
+  if (!lastDecidedFix) {
+    return { send: true, reason: 'first_fix', distance: null, elapsed: null, interval, state };
+  }
+
+  const distance = haversineDistance(lastDecidedFix.lat, lastDecidedFix.lon, coords.latitude, coords.longitude);
+  const elapsed = timestamp - lastDecidedFix.timestamp;
+  if (emergency) {
+    return { send: true, reason: 'emergency', distance, elapsed, interval, state };
+  }
+
+  let reason = 'moved';
+  if (distance < getDistanceThreshold()) {
+    reason = 'too_close';
+  } else if (elapsed < interval) {
+    reason = 'too_soon';
+  }
+  return { send: reason === 'moved', reason, distance, elapsed, interval, state };
+}
+
+/**
+ * Run one fix through the whole pipeline: quality filter, local history, motion
+ * state, send decision, upload and geofences
+ * Both the foreground watcher and the background task call this. A fix that was
+ * already processed by the other path is not processed again. The state the
+ * decision depends on is restored before the first fix and persisted after each.
+ * @param {Object} rawLocation - Location object from expo-location
+ * @param {string} source - 'foreground' or 'background', for logging
+ * @returns {Promise<Object>} { source, duplicate, accepted, rejection, location, motion, decision, delivery }
+ *   where decision is from decideSend() and delivery is the result of
+ *   sendProtectedPayload() (null if the fix was not sent)
+ */
+export function processFix(rawLocation, source) {
+  return withDecisionLock(async () => {
+    await restoreAdaptiveState();
+
+    const key = fixKey(rawLocation);
+    if (handledFixes.has(key)) {
+      console.debug(`[${source}] Fix already handled by the ${handledFixes.get(key).source} path`);
+      return { ...handledFixes.get(key), duplicate: true };
+    }
+
+    const result = {
+      source,
+      duplicate: false,
+      accepted: false,
+      rejection: null,
+      location: rawLocation,
+      motion: null,
+      decision: null,
+      delivery: null
+    };
+    handledFixes.set(key, result);
+    if (handledFixes.size > MAX_HANDLED_FIXES) {
+      handledFixes.delete(handledFixes.keys().next().value);
+    }
+
+    try {
+      await runPipeline(result, rawLocation, source);
+    } finally {
+      await persistAdaptiveState();
+    }
+    return result;
+  });
+}
+
+/**
+ * Filter, record, decide, send and check geofences for a new fix
+ * @param {Object} result - Result of processFix(), filled in as the fix progresses
+ * @param {Object} rawLocation - Location object from expo-location
+ * @param {string} source - 'foreground' or 'background', for logging
+ */
+async function runPipeline(result, rawLocation, source) {
+  // Drop inaccurate and impossible fixes before anything else sees them, unless an SOS is active
+  const emergency = await isEmergencyActive();
+  const { accepted, location, reason } = await filterFix(rawLocation, { emergency });
+  result.accepted = accepted;
+  result.rejection = reason;
+  result.location = location;
+
+  // The history screen, trips and exports show a fix no more precisely than the server
+  // gets it: inside a privacy zone only the zone's centroid is recorded
+  const recorded = emergency
+    ? { location: accepted ? location : rawLocation, status: 'clear' }
+    : await protectLocation(accepted ? location : rawLocation);
+  if (!accepted) {
+    await addHistoryEntry(recorded.location, { status: 'filtered', reason });
+    return;
+  }
+
+  // Thresholds come from the selected tracking profile
+  await getActiveProfile();
+  result.motion = updateMotionState(location);
+  result.decision = decideSend(location, result.motion.state, { emergency });
+
+  const { decision } = result;
+  console.debug(
+    `[${source}] ${decision.send ? 'Sending' : 'Skipping'} fix (${decision.reason}): ` +
+    `distance ${decision.distance === null ? 'n/a' : `${Math.round(decision.distance)}m`}, ` +
+    `elapsed ${decision.elapsed === null ? 'n/a' : `${decision.elapsed}ms`}, ` +
+    `state ${decision.state}, interval ${decision.interval}ms`
+  );
+
+  if (decision.send) {
+    const payload = await buildPayload(location, { expectedInterval: decision.interval });
+    lastDecidedFix = { lat: location.coords.latitude, lon: location.coords.longitude, timestamp: location.timestamp };
+    // Persist before the upload so a restart while it is in flight doesn't send the fix twice
+    await persistAdaptiveState();
+    // Recorded as buffered until the server acknowledges it, see locationService.js
+    await addHistoryEntry(recorded.location, { status: 'buffered', fixId: payload.id });
+    result.delivery = await sendProtectedPayload(payload);
+    if (result.delivery.privacy.status === 'suppressed') {
+      await updateHistoryStatus([payload.id], 'filtered', 'privacy_zone');
+    }
+  } else {
+    // A skipped fix inside a suppressing zone is left out of trips and exports like a suppressed one
+    await addHistoryEntry(recorded.location, {
+      status: 'filtered',
+      reason: recorded.status === 'suppressed' ? 'privacy_zone' : decision.reason
+    });
+  }
+
+  // Geofence transitions are sent as their own events
+  await reportGeofenceEvents(location);
+}
@@ -0,0 +1,192 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Network from 'expo-network';
+import { getServerUrl, buildHeaders } from './api';
+
+const EMERGENCY_STATE_KEY = 'emergency_state';
+
+// Sampling used for both foreground and background updates while an SOS is active,
+// in place of the tracking profile's: the best accuracy the device has, as often as it delivers
+export const EMERGENCY_SAMPLING = {
+  accuracy: 'BestForNavigation',
+  timeInterval: 1000,
+  distanceInterval: 0,
+  deferredUpdatesInterval: 0,
+  deferredUpdatesDistance: 0
+};
+
+// State when no SOS was ever started
+const INACTIVE_STATE = {
+  active: false,
+  incidentId: null,
+  startedAt: null,
+  alertSentAt: null,     // when the server acknowledged the alert, null while it is pending
+  pendingCancelId: null  // incident whose cancellation the server hasn't acknowledged yet
+};
+
+// Promise chain serializing state changes from the UI and the background task
+let emergencyLock = Promise.resolve();
+
+/**
+ * Run an emergency state operation once all previously queued operations have finished
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withEmergencyLock(operation) {
+  const result = emergencyLock.then(operation, operation);
+  emergencyLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Get the emergency state
+ * Read on every use rather than cached, so an SOS started in the UI reaches the
+ * background task and survives the JS context being restarted.
+ * @returns {Promise<Object>} { active, incidentId, startedAt, alertSentAt, pendingCancelId }
+ */
+export async function getEmergencyState() {
+  try {
+    const stored = await AsyncStorage.getItem(EMERGENCY_STATE_KEY);
+    return stored ? { ...INACTIVE_STATE, ...JSON.parse(stored) } : { ...INACTIVE_STATE };
+  } catch (error) {
+    console.error('Error getting emergency state:', error);
+    return { ...INACTIVE_STATE };
+  }
+}
+
+/**
+ * Check whether an SOS is active
+ * @returns {Promise<boolean>} True until the user cancels it
+ */
+export async function isEmergencyActive() {
+  return (await getEmergencyState()).active;
+}
+
+/**
+ * Persist the emergency state
+ * @param {Object} state - Full emergency state
+ * @returns {Promise<Object>} The saved state
+ */
+async function saveEmergencyState(state) {
+  await AsyncStorage.setItem(EMERGENCY_STATE_KEY, JSON.stringify(state));
+  return state;
+}
+
+/**
+ * Generate a unique ID for an incident
+ * Generated on the device so a retried alert is recognized by the server.
+ * @param {number} timestamp - Start time in milliseconds
+ * @returns {string} Unique incident ID
+ */
+function createIncidentId(timestamp) {
+  const random = Math.random().toString(36).slice(2, 10) + Math.random().toString(36).slice(2, 10);
+  return `sos-${timestamp.toString(36)}-${random}`;
+}
+
+/**
+ * Start an SOS
+ * Only records it; the alert goes out with the next syncEmergencyState(), and the
+ * caller restarts location updates so the emergency sampling takes effect.
+ * @returns {Promise<Object>} Emergency state, unchanged if an SOS is already active
+ */
+export function startEmergency() {
+  return withEmergencyLock(async () => {
+    const current = await getEmergencyState();
+    if (current.active) {
+      return current;
+    }
+
+    const now = Date.now();
+    return saveEmergencyState({
+      ...current,
+      active: true,
+      incidentId: createIncidentId(now),
+      startedAt: new Date(now).toISOString(),
+      alertSentAt: null
+    });
+  });
+}
+
+/**
+ * Cancel the active SOS
+ * Tracking goes back to normal right away; the server is told with the next
+ * syncEmergencyState() so the emergency contacts learn it is over.
+ * @returns {Promise<Object>} Emergency state
+ */
+export function cancelEmergency() {
+  return withEmergencyLock(async () => {
+    const current = await getEmergencyState();
+    if (!current.active) {
+      return current;
+    }
+
+    return saveEmergencyState({
+      ...INACTIVE_STATE,
+      // Cancel even an unacknowledged alert: the server may have received it and only
+      // the response was lost. An older cancellation still pending wins, because
+      // syncEmergencyState() holds the alert back until it goes through, so this
+      // incident never reached the server
+      pendingCancelId: current.pendingCancelId || current.incidentId
+    });
+  });
+}
+
+/**
+ * Post a request to an emergency route
+ * @param {string} path - Path below /api/emergency
+ * @param {Object} body - JSON body
+ * @returns {Promise<Response>} Server response
+ */
+async function postEmergency(path, body) {
+  return fetch(`${await getServerUrl()}/api/emergency${path}`, {
+    method: 'POST',
+    headers: await buildHeaders(),
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * Deliver a pending cancellation and a pending alert to the server
+ * Safe to call often: does nothing when both were acknowledged. Failures are kept
+ * pending and retried on the next call.
+ * @returns {Promise<Object>} Emergency state after syncing
+ */
+export function syncEmergencyState() {
+  return withEmergencyLock(async () => {
+    let state = await getEmergencyState();
+    if (!state.pendingCancelId && !(state.active && !state.alertSentAt)) {
+      return state;
+    }
+
+    try {
+      const networkState = await Network.getNetworkStateAsync();
+      if (!networkState.isConnected) {
+        return state;
+      }
+
+      // Cancel first: the server accepts only one active incident per user
+      if (state.pendingCancelId) {
+        const response = await postEmergency(`/${encodeURIComponent(state.pendingCancelId)}/cancel`, {});
+        // An incident the server no longer knows about is as good as cancelled
+        if (response.ok || response.status === 404) {
+          state = await saveEmergencyState({ ...state, pendingCancelId: null });
+        } else {
+          console.warn(`Emergency cancellation failed with status ${response.status}`);
+        }
+      }
+
+      // The server would refuse the alert while the previous incident is still active
+      if (state.active && !state.alertSentAt && !state.pendingCancelId) {
+        const response = await postEmergency('', { incidentId: state.incidentId, startedAt: state.startedAt });
+        if (response.ok) {
+          state = await saveEmergencyState({ ...state, alertSentAt: new Date().toISOString() });
+          console.debug(`Emergency alert ${state.incidentId} sent`);
+        } else {
+          console.warn(`Emergency alert failed with status ${response.status}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing emergency state:', error);
+    }
+    return state;
+  });
+}
@@ -0,0 +1,254 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { haversineDistance } from './geo';
+
+const SETTINGS_KEY = 'fix_filter_settings';
+const STATS_KEY = 'fix_filter_stats';
+
+// Default filter settings, see saveFixFilterSettings()
+export const DEFAULT_FILTER_SETTINGS = {
+  maxAccuracy: 100, // meters; coarser fixes are rejected
+  maxSpeed: 70,     // m/s (~250 km/h); faster jumps from the previous fix are rejected
+  smoothing: false  // Kalman-smooth accepted fixes
+};
+
+// Reasons a fix can be rejected
+export const REJECTION_REASONS = {
+  low_accuracy: 'Accuracy worse than the threshold',
+  impossible_speed: 'Jump from the previous fix faster than possible',
+  out_of_order: 'Older than an already accepted fix'
+};
+
+// After this many consecutive speed rejections the previous fix was the outlier, not the new ones
+const MAX_CONSECUTIVE_SPEED_REJECTIONS = 3;
+
+// Expected movement used by the Kalman filter between fixes
+const PROCESS_NOISE = 3; // m/s
+
+// Rejections kept for display
+const MAX_RECENT_REJECTIONS = 20;
+
+let settings = null;
+let lastAccepted = null;  // last accepted raw fix { timestamp, lat, lon, accuracy }
+let lastProcessed = null; // { timestamp, result } of the last fix, reused when the same fix arrives again
+let kalman = null;        // { lat, lon, variance, timestamp } in meters squared
+let consecutiveSpeedRejections = 0;
+
+// Promise chain serializing filtering so the foreground and background paths see a consistent state
+let filterLock = Promise.resolve();
+
+/**
+ * Run a filter operation once all previously queued operations have finished
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withFilterLock(operation) {
+  const result = filterLock.then(operation, operation);
+  filterLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Get the filter settings
+ * @returns {Promise<Object>} { maxAccuracy, maxSpeed, smoothing }
+ */
+export async function getFixFilterSettings() {
+  if (!settings) {
+    try {
+      const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+      settings = { ...DEFAULT_FILTER_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+      console.error('Error getting fix filter settings:', error);
+      return { ...DEFAULT_FILTER_SETTINGS };
+    }
+  }
+  return settings;
+}
+
+/**
+ * Save filter settings
+ * @param {Object} changes - Any of { maxAccuracy, maxSpeed, smoothing }
+ * @returns {Promise<Object>} Updated settings
+ * @throws {Error} If a threshold is not a positive number
+ */
+export async function saveFixFilterSettings(changes) {
+  const updated = { ...(await getFixFilterSettings()), ...changes };
+  if (!(updated.maxAccuracy > 0) || !(updated.maxSpeed > 0)) {
+    throw new Error('Accuracy and speed thresholds must be positive numbers');
+  }
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(updated));
+  settings = updated;
+  kalman = null;
+  return updated;
+}
+
+/**
+ * Get how many fixes were accepted and rejected
+ * @returns {Promise<Object>} { accepted, rejected: { [reason]: count }, recent: [{ timestamp, reason, detail }] }
+ */
+export async function getFixFilterStats() {
+  try {
+    const stats = await AsyncStorage.getItem(STATS_KEY);
+    return stats ? JSON.parse(stats) : { accepted: 0, rejected: {}, recent: [] };
+  } catch (error) {
+    console.error('Error getting fix filter stats:', error);
+    return { accepted: 0, rejected: {}, recent: [] };
+  }
+}
+
+/**
+ * Reset the accepted and rejected counts
+ */
+export async function clearFixFilterStats() {
+  try {
+    await AsyncStorage.removeItem(STATS_KEY);
+  } catch (error) {
+    console.error('Error clearing fix filter stats:', error);
+  }
+}
+
+/**
+ * Get the filter internals so they can be persisted
+ * @returns {Object} { lastAccepted, kalman, consecutiveSpeedRejections }
+ */
+export function exportFilterState() {
+  return { lastAccepted, kalman, consecutiveSpeedRejections };
+}
+
+/**
+ * Restore internals saved by exportFilterState(), e.g. after the OS restarted the background task
+ * @param {Object} snapshot - Result of exportFilterState()
+ */
+export function restoreFilterState(snapshot) {
+  lastAccepted = snapshot.lastAccepted || null;
+  kalman = snapshot.kalman || null;
+  consecutiveSpeedRejections = snapshot.consecutiveSpeedRejections || 0;
+}
+
+/**
+ * Count a filter outcome
+ * @param {string|null} reason - Rejection reason, or null if the fix was accepted
+ * @param {number} timestamp - Fix timestamp in milliseconds
+ * @param {string} detail - Human-readable detail for rejections
+ */
+async function recordOutcome(reason, timestamp, detail) {
+  try {
+    const stats = await getFixFilterStats();
+    if (reason) {
+      stats.rejected[reason] = (stats.rejected[reason] || 0) + 1;
+      stats.recent = [...stats.recent, { timestamp: new Date(timestamp).toISOString(), reason, detail }]
+        .slice(-MAX_RECENT_REJECTIONS);
+    } else {
+      stats.accepted += 1;
+    }
+    await AsyncStorage.setItem(STATS_KEY, JSON.stringify(stats));
+  } catch (error) {
+    console.error('Error recording fix filter stats:', error);
+  }
+}
+
+/**
+ * Smooth a fix with a simple Kalman filter on latitude and longitude
+ * The fix's accuracy is its measurement noise; uncertainty grows with time between fixes.
+ * @param {Object} fix - { timestamp, lat, lon, accuracy }
+ * @returns {Object} { lat, lon, accuracy } smoothed
+ */
+function smooth(fix) {
+  const measurementVariance = fix.accuracy * fix.accuracy;
+  if (!kalman) {
+    kalman = { lat: fix.lat, lon: fix.lon, variance: measurementVariance, timestamp: fix.timestamp };
+  } else {
+    const elapsed = (fix.timestamp - kalman.timestamp) / 1000;
+    const variance = kalman.variance + elapsed * PROCESS_NOISE * PROCESS_NOISE;
+    const gain = variance / (variance + measurementVariance);
+    kalman = {
+      lat: kalman.lat + gain * (fix.lat - kalman.lat),
+      lon: kalman.lon + gain * (fix.lon - kalman.lon),
+      variance: (1 - gain) * variance,
+      timestamp: fix.timestamp
+    };
+  }
+  return { lat: kalman.lat, lon: kalman.lon, accuracy: Math.sqrt(kalman.variance) };
+}
+
+/**
+ * Check a fix against the previously accepted one
+ * @param {Object} fix - { timestamp, lat, lon, accuracy }
+ * @param {Object} limits - Filter settings
+ * @returns {Object|null} { reason, detail } if the fix must be rejected, otherwise null
+ */
+function checkFix(fix, limits) {
+  if (fix.accuracy === null || fix.accuracy === undefined || fix.accuracy > limits.maxAccuracy) {
+    return { reason: 'low_accuracy', detail: `accuracy ${fix.accuracy ?? 'unknown'} m > ${limits.maxAccuracy} m` };
+  }
+  if (!lastAccepted) {
+    return null;
+  }
+  if (fix.timestamp < lastAccepted.timestamp) {
+    return { reason: 'out_of_order', detail: `${lastAccepted.timestamp - fix.timestamp} ms older than the last fix` };
+  }
+
+  // Both fixes may be off by their accuracy, so only the jump beyond that counts
+  const distance = haversineDistance(lastAccepted.lat, lastAccepted.lon, fix.lat, fix.lon);
+  const jump = Math.max(0, distance - fix.accuracy - lastAccepted.accuracy);
+  const elapsed = (fix.timestamp - lastAccepted.timestamp) / 1000;
+  const speed = elapsed > 0 ? jump / elapsed : (jump > 0 ? Infinity : 0);
+  if (speed > limits.maxSpeed && consecutiveSpeedRejections < MAX_CONSECUTIVE_SPEED_REJECTIONS) {
+    return { reason: 'impossible_speed', detail: `${Math.round(distance)} m in ${elapsed.toFixed(1)} s` };
+  }
+  return null;
+}
+
+/**
+ * Run a fix through the quality filter before the adaptive decision
+ * The same fix arriving from both the foreground and background paths is
+ * evaluated and counted once. During an SOS a coarse fix or a jump is better than
+ * no fix at all, so only out-of-order fixes are rejected; the others go out with
+ * their accuracy, which tells the emergency contacts how far to trust them.
+ * @param {Object} location - Location object from expo-location
+ * @param {Object} options - { emergency } true while an SOS is active
+ * @returns {Promise<Object>} { accepted, location, reason } where location is the
+ *   (possibly smoothed) fix to use if accepted and reason explains a rejection
+ */
+export function filterFix(location, { emergency = false } = {}) {
+  return withFilterLock(async () => {
+    const { coords, timestamp } = location;
+    if (lastProcessed && lastProcessed.timestamp === timestamp) {
+      return lastProcessed.result;
+    }
+
+    const limits = await getFixFilterSettings();
+    const fix = { timestamp, lat: coords.latitude, lon: coords.longitude, accuracy: coords.accuracy };
+    let rejection = checkFix(fix, limits);
+    if (rejection && emergency && rejection.reason !== 'out_of_order') {
+      console.debug(`Keeping fix despite ${rejection.reason} during SOS: ${rejection.detail}`);
+      rejection = null;
+    }
+
+    if (rejection) {
+      if (rejection.reason === 'impossible_speed') {
+        consecutiveSpeedRejections += 1;
+      }
+      console.debug(`Rejected fix (${rejection.reason}): ${rejection.detail}`);
+      await recordOutcome(rejection.reason, timestamp, rejection.detail);
+      const result = { accepted: false, location, reason: rejection.reason };
+      lastProcessed = { timestamp, result };
+      return result;
+    }
+
+    consecutiveSpeedRejections = 0;
+    lastAccepted = fix;
+    await recordOutcome(null, timestamp);
+
+    let filtered = location;
+    if (limits.smoothing) {
+      const smoothed = smooth(fix);
+      filtered = {
+        ...location,
+        coords: { ...coords, latitude: smoothed.lat, longitude: smoothed.lon, accuracy: smoothed.accuracy }
+      };
+    }
+    const result = { accepted: true, location: filtered, reason: null };
+    lastProcessed = { timestamp, result };
+    return result;
+  });
+}
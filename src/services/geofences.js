@@ -0,0 +1,146 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { haversineDistance } from './geo';
+
+const PLACES_KEY = 'geofence_places';
+const STATE_KEY = 'geofence_state';
+
+// Default radius and dwell time for new places
+export const DEFAULT_PLACE_RADIUS = 100; // meters
+const DEFAULT_DWELL_TIME = 5 * 60 * 1000; // 5 minutes
+
+// Promise chain serializing evaluations so the foreground and background paths
+// cannot both emit the same transition for one fix
+let geofenceLock = Promise.resolve();
+
+/**
+ * Run a geofence operation once all previously queued operations have finished
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withGeofenceLock(operation) {
+  const result = geofenceLock.then(operation, operation);
+  geofenceLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Get all saved places
+ * @returns {Promise<Array>} Array of { id, name, lat, lon, radius, dwellTime, createdAt }
+ */
+export async function getPlaces() {
+  try {
+    const places = await AsyncStorage.getItem(PLACES_KEY);
+    return places ? JSON.parse(places) : [];
+  } catch (error) {
+    console.error('Error getting places:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a new place
+ * @param {Object} place - { name, lat, lon, radius, dwellTime }
+ * @returns {Promise<Object>} The saved place with its ID
+ */
+export function addPlace({ name, lat, lon, radius = DEFAULT_PLACE_RADIUS, dwellTime = DEFAULT_DWELL_TIME }) {
+  return withGeofenceLock(async () => {
+    const place = {
+      id: `place-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      lat,
+      lon,
+      radius,
+      dwellTime,
+      createdAt: new Date().toISOString()
+    };
+    const places = await getPlaces();
+    places.push(place);
+    await AsyncStorage.setItem(PLACES_KEY, JSON.stringify(places));
+    return place;
+  });
+}
+
+/**
+ * Remove a place and forget whether the user is inside it
+ * @param {string} placeId - ID of the place to remove
+ */
+export function removePlace(placeId) {
+  return withGeofenceLock(async () => {
+    try {
+      const places = await getPlaces();
+      await AsyncStorage.setItem(PLACES_KEY, JSON.stringify(places.filter((place) => place.id !== placeId)));
+
+      const state = await getGeofenceState();
+      delete state[placeId];
+      await AsyncStorage.setItem(STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+      console.error('Error removing place:', error);
+    }
+  });
+}
+
+/**
+ * Get the persisted inside/outside state of every place
+ * @returns {Promise<Object>} Map of place ID to { inside, enteredAt, dwellReported }
+ */
+export async function getGeofenceState() {
+  try {
+    const state = await AsyncStorage.getItem(STATE_KEY);
+    return state ? JSON.parse(state) : {};
+  } catch (error) {
+    console.error('Error getting geofence state:', error);
+    return {};
+  }
+}
+
+/**
+ * Compare a fix against all places and record enter/exit/dwell transitions
+ * A fix whose accuracy is worse than a place's radius cannot tell inside from
+ * outside, so it leaves that place's state unchanged.
+ * @param {Object} location - Location object from expo-location
+ * @returns {Promise<Array>} Events of the form { event, place }
+ */
+export function evaluateGeofences(location) {
+  return withGeofenceLock(async () => {
+    try {
+      const places = await getPlaces();
+      if (places.length === 0) {
+        return [];
+      }
+
+      const { coords, timestamp } = location;
+      const state = await getGeofenceState();
+      const events = [];
+
+      for (const place of places) {
+        if (coords.accuracy !== null && coords.accuracy > place.radius) {
+          continue;
+        }
+
+        const distance = haversineDistance(place.lat, place.lon, coords.latitude, coords.longitude);
+        const inside = distance <= place.radius;
+        const previous = state[place.id] || { inside: false };
+
+        if (inside && !previous.inside) {
+          state[place.id] = { inside: true, enteredAt: timestamp, dwellReported: false };
+          events.push({ event: 'enter', place });
+        } else if (!inside && previous.inside) {
+          state[place.id] = { inside: false };
+          events.push({ event: 'exit', place });
+        } else if (inside && !previous.dwellReported &&
+                   timestamp - previous.enteredAt >= place.dwellTime) {
+          state[place.id] = { ...previous, dwellReported: true };
+          events.push({ event: 'dwell', place });
+        }
+      }
+
+      if (events.length > 0) {
+        await AsyncStorage.setItem(STATE_KEY, JSON.stringify(state));
+      }
+      return events;
+    } catch (error) {
+      console.error('Error evaluating geofences:', error);
+      return [];
+    }
+  });
+}
@@ -0,0 +1,196 @@
+import * as BackgroundTask from 'expo-background-task';
+import * as Battery from 'expo-battery';
+import * as Location from 'expo-location';
+import * as Network from 'expo-network';
+import * as TaskManager from 'expo-task-manager';
+import { getServerUrl, buildHeaders, getRequestUser } from './api';
+import { getMotionState } from './motionState';
+import { loadAdaptiveState, saveAdaptiveState } from './adaptiveState';
+import { getActiveProfile, intervalFromMotionState, loadLastSentLocation } from './locationService';
+
+// Task name for heartbeats scheduled by the OS, see heartbeatTask.js
+export const HEARTBEAT_TASK_NAME = 'heartbeat-task';
+
+// The OS runs the heartbeat task at most this often, later when it saves battery
+const HEARTBEAT_TASK_INTERVAL = 15; // minutes, the shortest the OS allows
+
+// expo-battery states as sent to the server
+const BATTERY_STATES = {
+  [Battery.BatteryState.UNKNOWN]: 'unknown',
+  [Battery.BatteryState.UNPLUGGED]: 'unplugged',
+  [Battery.BatteryState.CHARGING]: 'charging',
+  [Battery.BatteryState.FULL]: 'full'
+};
+
+// Time of the last heartbeat the server acknowledged, restored from storage on first use
+let lastHeartbeatAt = null;
+let heartbeatRestored = null;
+
+// Promise chain so the foreground and background paths never send the same heartbeat twice
+let heartbeatLock = Promise.resolve();
+
+/**
+ * Run a heartbeat operation once all previously queued operations have finished
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withHeartbeatLock(operation) {
+  const result = heartbeatLock.then(operation, operation);
+  heartbeatLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Get the time of the last acknowledged heartbeat, restoring it the first time
+ * @returns {Promise<number|null>} Milliseconds, or null if none was sent yet
+ */
+async function loadLastHeartbeatAt() {
+  if (!heartbeatRestored) {
+    heartbeatRestored = loadAdaptiveState().then((state) => {
+      lastHeartbeatAt = Math.max(lastHeartbeatAt || 0, state.lastHeartbeatAt || 0) || null;
+    });
+  }
+  await heartbeatRestored;
+  return lastHeartbeatAt;
+}
+
+/**
+ * Read the battery state, leaving out what the device can't report
+ * @returns {Promise<Object>} { batteryLevel, batteryState, lowPowerMode } with the level from 0 to 1
+ */
+async function readBattery() {
+  try {
+    const { batteryLevel, batteryState, lowPowerMode } = await Battery.getPowerStateAsync();
+    return {
+      batteryLevel: batteryLevel >= 0 ? batteryLevel : null,
+      batteryState: BATTERY_STATES[batteryState] || 'unknown',
+      lowPowerMode: Boolean(lowPowerMode)
+    };
+  } catch (error) {
+    console.error('Error reading battery state:', error);
+    return { batteryLevel: null, batteryState: 'unknown', lowPowerMode: false };
+  }
+}
+
+/**
+ * Read the location permission states
+ * @returns {Promise<Object>} { foregroundPermission, backgroundPermission }, each
+ *   'granted', 'denied' or 'undetermined'
+ */
+async function readPermissions() {
+  const [foreground, background] = await Promise.all([
+    Location.getForegroundPermissionsAsync().catch(() => ({ status: 'undetermined' })),
+    Location.getBackgroundPermissionsAsync().catch(() => ({ status: 'undetermined' }))
+  ]);
+  return { foregroundPermission: foreground.status, backgroundPermission: background.status };
+}
+
+/**
+ * Build a heartbeat payload
+ * Heartbeats carry no coordinates, so privacy zones don't apply to them.
+ * @returns {Promise<Object|null>} Heartbeat payload, or null if signed out
+ */
+export async function buildHeartbeatPayload() {
+  const user = await getRequestUser();
+  if (!user) {
+    return null;
+  }
+
+  const lastSent = await loadLastSentLocation();
+  return {
+    type: 'heartbeat',
+    userId: user.id,
+    timestamp: new Date().toISOString(),
+    motionState: getMotionState().state,
+    lastFixAt: lastSent ? new Date(lastSent.timestamp).toISOString() : null,
+    // Lets the server tell when this phone is overdue
+    heartbeatInterval: intervalFromMotionState('STILL'),
+    ...(await readBattery()),
+    ...(await readPermissions())
+  };
+}
+
+/**
+ * Send a heartbeat if nothing reached the server for the STILL send interval
+ * A user who stays put sends no fixes, so this lets the server tell an idle phone
+ * from one that is off or has lost its permission. Heartbeats are not buffered:
+ * one that fails is simply followed by the next.
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<boolean>} True if a heartbeat was sent
+ */
+export function sendHeartbeatIfDue(now = Date.now()) {
+  return withHeartbeatLock(async () => {
+    await getActiveProfile();
+    const lastSent = await loadLastSentLocation();
+    const lastContact = Math.max(lastSent ? lastSent.timestamp : 0, (await loadLastHeartbeatAt()) || 0);
+    if (now - lastContact < intervalFromMotionState('STILL')) {
+      return false;
+    }
+
+    try {
+      const networkState = await Network.getNetworkStateAsync();
+      if (!networkState.isConnected) {
+        return false;
+      }
+
+      const payload = await buildHeartbeatPayload();
+      if (!payload) {
+        return false;
+      }
+
+      const response = await fetch(`${await getServerUrl()}/api/heartbeat`, {
+        method: 'POST',
+        headers: await buildHeaders(),
+        body: JSON.stringify(payload)
+      });
+      if (!response.ok) {
+        console.warn(`Heartbeat failed with status ${response.status}`);
+        return false;
+      }
+
+      lastHeartbeatAt = now;
+      await saveAdaptiveState({ lastHeartbeatAt });
+      console.debug('Heartbeat sent');
+      return true;
+    } catch (error) {
+      console.error('Error sending heartbeat:', error);
+      return false;
+    }
+  });
+}
+
+/**
+ * Let the OS run the heartbeat task periodically while tracking
+ * Location updates stop arriving when the phone lies still in the background, and
+ * with them the heartbeats sent from the location task.
+ * @returns {Promise<boolean>} True if the task is scheduled
+ */
+export async function startHeartbeatTask() {
+  try {
+    const status = await BackgroundTask.getStatusAsync();
+    if (status === BackgroundTask.BackgroundTaskStatus.Restricted) {
+      console.warn('Background tasks are restricted: heartbeats are only sent while fixes arrive');
+      return false;
+    }
+    if (!(await TaskManager.isTaskRegisteredAsync(HEARTBEAT_TASK_NAME))) {
+      await BackgroundTask.registerTaskAsync(HEARTBEAT_TASK_NAME, { minimumInterval: HEARTBEAT_TASK_INTERVAL });
+    }
+    return true;
+  } catch (error) {
+    console.error('Error scheduling heartbeat task:', error);
+    return false;
+  }
+}
+
+/**
+ * Stop the periodic heartbeat task
+ */
+export async function stopHeartbeatTask() {
+  try {
+    if (await TaskManager.isTaskRegisteredAsync(HEARTBEAT_TASK_NAME)) {
+      await BackgroundTask.unregisterTaskAsync(HEARTBEAT_TASK_NAME);
+    }
+  } catch (error) {
+    console.error('Error stopping heartbeat task:', error);
+  }
+}
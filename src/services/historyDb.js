@@ -0,0 +1,285 @@
+import * as SQLite from 'expo-sqlite';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { REJECTION_REASONS } from './fixFilter';
+
+const DATABASE_NAME = 'history.db';
+const RETENTION_KEY = 'history_retention';
+
+// What happened to a fix
+export const HISTORY_STATUSES = {
+  sent: 'Received by the server',
+  buffered: 'Waiting in the offline buffer',
+  filtered: 'Not sent: rejected by the quality filter, skipped by the adaptive logic or inside a privacy zone',
+  failed: 'Rejected by the server, retries used up or dropped from the offline buffer'
+};
+
+// Default retention, see saveHistoryRetention()
+export const DEFAULT_RETENTION = {
+  maxAgeDays: 30,
+  maxEntries: 20000
+};
+
+// Retention is enforced after this many new entries rather than on every fix
+const PRUNE_INTERVAL = 100;
+
+let databasePromise = null;
+let entriesSincePrune = 0;
+
+/**
+ * Open the history database, creating the table on first use
+ * @returns {Promise<Object>} expo-sqlite database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = (async () => {
+      const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      await db.execAsync(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS fixes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          fix_id TEXT,
+          timestamp INTEGER NOT NULL,
+          lat REAL NOT NULL,
+          lon REAL NOT NULL,
+          speed REAL,
+          accuracy REAL,
+          status TEXT NOT NULL,
+          reason TEXT
+        );
+        CREATE INDEX IF NOT EXISTS fixes_timestamp ON fixes (timestamp);
+        CREATE INDEX IF NOT EXISTS fixes_fix_id ON fixes (fix_id);
+      `);
+      return db;
+    })();
+    // Try again on the next call rather than failing forever
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Turn a database row into a history entry
+ * @param {Object} row - Row of the fixes table
+ * @returns {Object} { id, fixId, timestamp, lat, lon, speed, accuracy, status, reason }
+ */
+function toEntry(row) {
+  return {
+    id: row.id,
+    fixId: row.fix_id,
+    timestamp: row.timestamp,
+    lat: row.lat,
+    lon: row.lon,
+    speed: row.speed,
+    accuracy: row.accuracy,
+    status: row.status,
+    reason: row.reason
+  };
+}
+
+/**
+ * Get the retention settings
+ * @returns {Promise<Object>} { maxAgeDays, maxEntries }
+ */
+export async function getHistoryRetention() {
+  try {
+    const retention = await AsyncStorage.getItem(RETENTION_KEY);
+    return { ...DEFAULT_RETENTION, ...(retention ? JSON.parse(retention) : {}) };
+  } catch (error) {
+    console.error('Error getting history retention:', error);
+    return { ...DEFAULT_RETENTION };
+  }
+}
+
+/**
+ * Save retention settings and apply them right away
+ * @param {Object} changes - Any of { maxAgeDays, maxEntries }
+ * @returns {Promise<Object>} Updated settings
+ * @throws {Error} If a limit is not a positive whole number
+ */
+export async function saveHistoryRetention(changes) {
+  const retention = { ...(await getHistoryRetention()), ...changes };
+  if (!Number.isInteger(retention.maxAgeDays) || retention.maxAgeDays < 1 ||
+      !Number.isInteger(retention.maxEntries) || retention.maxEntries < 1) {
+    throw new Error('Days and entries to keep must be whole numbers of at least 1');
+  }
+  await AsyncStorage.setItem(RETENTION_KEY, JSON.stringify(retention));
+  await pruneHistory();
+  return retention;
+}
+
+/**
+ * Delete entries older than the retention age and the oldest beyond the entry limit
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function pruneHistory() {
+  try {
+    const db = await openDatabase();
+    const { maxAgeDays, maxEntries } = await getHistoryRetention();
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+    const expired = await db.runAsync('DELETE FROM fixes WHERE timestamp < ?', cutoff);
+    const overflow = await db.runAsync(
+      'DELETE FROM fixes WHERE id NOT IN (SELECT id FROM fixes ORDER BY timestamp DESC, id DESC LIMIT ?)',
+      maxEntries
+    );
+    entriesSincePrune = 0;
+
+    const deleted = expired.changes + overflow.changes;
+    if (deleted > 0) {
+      console.debug(`Pruned ${deleted} history entries`);
+    }
+    return deleted;
+  } catch (error) {
+    console.error('Error pruning history:', error);
+    return 0;
+  }
+}
+
+/**
+ * Record what happened to a fix
+ * @param {Object} location - Location object from expo-location
+ * @param {Object} details - { status, reason, fixId } where status is a key of
+ *   HISTORY_STATUSES, reason explains a filtered fix and fixId is the payload ID
+ *   of a fix that is being sent
+ * @returns {Promise<boolean>} True if the entry was stored
+ */
+export async function addHistoryEntry(location, { status, reason = null, fixId = null }) {
+  try {
+    const db = await openDatabase();
+    const { coords, timestamp } = location;
+    await db.runAsync(
+      'INSERT INTO fixes (fix_id, timestamp, lat, lon, speed, accuracy, status, reason) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      fixId,
+      timestamp,
+      coords.latitude,
+      coords.longitude,
+      coords.speed ?? null,
+      coords.accuracy ?? null,
+      status,
+      reason
+    );
+
+    entriesSincePrune += 1;
+    if (entriesSincePrune >= PRUNE_INTERVAL) {
+      await pruneHistory();
+    }
+    return true;
+  } catch (error) {
+    console.error('Error adding history entry:', error);
+    return false;
+  }
+}
+
+/**
+ * Change the status of fixes once their upload outcome is known
+ * @param {Array<string>} fixIds - Payload IDs; IDs without an entry (e.g. geofence events) are ignored
+ * @param {string} status - Key of HISTORY_STATUSES
+ * @param {string|null} reason - Why, for failed and filtered fixes
+ */
+export async function updateHistoryStatus(fixIds, status, reason = null) {
+  if (fixIds.length === 0) {
+    return;
+  }
+  try {
+    const db = await openDatabase();
+    const placeholders = fixIds.map(() => '?').join(', ');
+    await db.runAsync(
+      `UPDATE fixes SET status = ?, reason = ? WHERE fix_id IN (${placeholders})`,
+      status,
+      reason,
+      ...fixIds
+    );
+  } catch (error) {
+    console.error('Error updating history status:', error);
+  }
+}
+
+/**
+ * Get the days that have history entries, newest first
+ * @param {string|null} status - Only count entries with this status
+ * @returns {Promise<Array>} Array of { day, count } where day is a local 'YYYY-MM-DD'
+ */
+export async function getHistoryDays(status = null) {
+  try {
+    const db = await openDatabase();
+    return await db.getAllAsync(
+      `SELECT date(timestamp / 1000, 'unixepoch', 'localtime') AS day, COUNT(*) AS count
+       FROM fixes WHERE (?1 IS NULL OR status = ?1)
+       GROUP BY day ORDER BY day DESC`,
+      status
+    );
+  } catch (error) {
+    console.error('Error getting history days:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the history entries of one day, newest first
+ * @param {string} day - Local 'YYYY-MM-DD', see getHistoryDays()
+ * @param {string|null} status - Only return entries with this status
+ * @returns {Promise<Array>} Array of { id, fixId, timestamp, lat, lon, speed, accuracy, status, reason }
+ */
+export async function getHistoryForDay(day, status = null) {
+  try {
+    const db = await openDatabase();
+    const [year, month, date] = day.split('-').map(Number);
+    const start = new Date(year, month - 1, date).getTime();
+    const end = new Date(year, month - 1, date + 1).getTime();
+    const rows = await db.getAllAsync(
+      `SELECT * FROM fixes
+       WHERE timestamp >= ?1 AND timestamp < ?2 AND (?3 IS NULL OR status = ?3)
+       ORDER BY timestamp DESC, id DESC`,
+      start,
+      end,
+      status
+    );
+    return rows.map(toEntry);
+  } catch (error) {
+    console.error('Error getting history:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the fixes of a time range for export, oldest first
+ * Fixes the quality filter rejected and fixes inside suppressing privacy zones are
+ * left out; skipped and unsent fixes are still where the user was.
+ * @param {number} from - Range start in milliseconds
+ * @param {number} to - Range end in milliseconds (exclusive)
+ * @returns {Promise<Array>} Array of history entries, see getHistoryForDay()
+ */
+export async function getHistoryRange(from, to) {
+  try {
+    const db = await openDatabase();
+    const excludedReasons = [...Object.keys(REJECTION_REASONS), 'privacy_zone'];
+    const rows = await db.getAllAsync(
+      `SELECT * FROM fixes
+       WHERE timestamp >= ? AND timestamp < ?
+         AND NOT (status = 'filtered' AND reason IN (${excludedReasons.map(() => '?').join(', ')}))
+       ORDER BY timestamp ASC, id ASC`,
+      from,
+      to,
+      ...excludedReasons
+    );
+    return rows.map(toEntry);
+  } catch (error) {
+    console.error('Error getting history range:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete all history entries
+ */
+export async function clearHistory() {
+  try {
+    const db = await openDatabase();
+    await db.runAsync('DELETE FROM fixes');
+    entriesSincePrune = 0;
+  } catch (error) {
+    console.error('Error clearing history:', error);
+  }
+}
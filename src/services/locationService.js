@@ -2,71 +2,245 @@ import * as Location from 'expo-location';
 import * as TaskManager from 'expo-task-manager';
 import * as Network from 'expo-network';
 import { Platform } from 'react-native';
-import { saveBuffer, getBuffer, clearBuffer } from './storage';
-import * as SecureStore from 'expo-secure-store';
-
-// Constants for adaptive location sharing
-const DISTANCE_THRESHOLD = 10; // meters
-const TIME_INTERVALS = {
-  STILL: 15 * 60 * 1000,      // 15 minutes
-  WALKING: 5 * 60 * 1000,     // 5 minutes
-  BIKE: 2 * 60 * 1000,        // 2 minutes
-  VEHICLE: 60 * 1000          // 1 minute
-};
-
-const SPEED_THRESHOLDS = {
-  STILL: 0.5,     // m/s
-  WALKING: 2.0,   // m/s
-  BIKE: 6.0       // m/s
-};
+import { saveBuffer, getBuffer, removeFromBuffer, quarantinePayloads } from './storage';
+import { loadAdaptiveState, saveAdaptiveState } from './adaptiveState';
+import { updateHistoryStatus } from './historyDb';
+import { haversineDistance } from './geo';
+import { getServerUrl, buildHeaders, getRequestUser, isAuthTokenRejected, holdOnAuthTokenRejection } from './api';
+import { evaluateGeofences } from './geofences';
+import { applyPrivacyZones } from './privacyZones';
+import { motionClassFromSpeed, configureMotionState } from './motionState';
+import { TRACKING_PROFILES, DEFAULT_PROFILE_ID, getSelectedProfile } from './trackingProfiles';
+import { getSettings, applySendSettings } from './settings';
+import { EMERGENCY_SAMPLING, isEmergencyActive } from './emergency';
+import {
+  classifyStatus,
+  classifyRejection,
+  getRetryState,
+  isDue,
+  recordFailure,
+  pruneRetryState
+} from './retryScheduler';
+
+// Interval used before the motion state has a first speed estimate
+const DEFAULT_MOTION_STATE = 'WALKING';
+
+// Maximum number of buffered fixes uploaded per batch request
+const BATCH_SIZE = 50;
 
 // Task name for background location updates
 export const LOCATION_TASK_NAME = 'background-location-task';
 
 let lastSentLocation = null;
+let lastSentRestored = null;
 let locationSubscription = null;
+let foregroundCallback = null;
+let selectedProfile = null;
+let activeProfile = null;
+let flushInProgress = null;
+let lastPrivacyStatus = null;
 
 // Export lastSentLocation getter for external access
 export const getLastSentLocation = () => lastSentLocation;
 
 /**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - Latitude of point 1
- * @param {number} lon1 - Longitude of point 1
- * @param {number} lat2 - Latitude of point 2
- * @param {number} lon2 - Longitude of point 2
- * @returns {number} Distance in meters
+ * Get the last sent location, restoring it from storage the first time
+ * The JS context may have been restarted since the location was sent.
+ * @returns {Promise<Object|null>} { lat, lon, speed, timestamp } or null if nothing was sent yet
+ */
+export async function loadLastSentLocation() {
+  if (!lastSentRestored) {
+    lastSentRestored = loadAdaptiveState().then((state) => {
+      const stored = state.lastSentLocation;
+      if (stored && (!lastSentLocation || stored.timestamp > lastSentLocation.timestamp)) {
+        lastSentLocation = stored;
+      }
+    });
+  }
+  await lastSentRestored;
+  return lastSentLocation;
+}
+
+// Privacy zone outcome of the most recent fix, from either the foreground or background path
+export const getLastPrivacyStatus = () => lastPrivacyStatus;
+
+// Re-export the distance and speed helpers so existing callers keep importing them from here
+export { haversineDistance, motionClassFromSpeed };
+
+/**
+ * Make a tracking profile the one used for sampling and send decisions
+ * The threshold settings are applied on top of it. While an SOS is active the
+ * emergency sampling replaces the profile's, and the profile is marked emergency.
+ * @param {Object} profile - Profile from trackingProfiles.js
  */
-export function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth radius in meters
-  const φ1 = lat1 * Math.PI/180;
-  const φ2 = lat2 * Math.PI/180;
-  const Δφ = (lat2-lat1) * Math.PI/180;
-  const Δλ = (lon2-lon1) * Math.PI/180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c;
+async function applyTrackingProfile(profile) {
+  selectedProfile = profile;
+  activeProfile = applySendSettings(profile, await getSettings());
+  if (await isEmergencyActive()) {
+    activeProfile = {
+      ...activeProfile,
+      emergency: true,
+      foreground: { ...activeProfile.foreground, ...EMERGENCY_SAMPLING },
+      background: { ...activeProfile.background, ...EMERGENCY_SAMPLING }
+    };
+  }
+  configureMotionState({ speedThresholds: activeProfile.send.speedThresholds });
+}
+
+/**
+ * Get the active tracking profile, loading the selected one on first use
+ * The background task may run without the UI, so it can't rely on the screen loading it.
+ * The threshold settings are read again on every call, so changes apply from the next fix.
+ * @returns {Promise<Object>} Active profile
+ */
+export async function getActiveProfile() {
+  await applyTrackingProfile(selectedProfile || await getSelectedProfile());
+  return activeProfile;
+}
+
+/**
+ * Get the send thresholds of the active profile
+ * @returns {Object} { distanceThreshold, intervals, speedThresholds }
+ */
+function sendPolicy() {
+  return (activeProfile || TRACKING_PROFILES[DEFAULT_PROFILE_ID]).send;
 }
 
 /**
  * Get interval based on speed
+ * Stateless: a single reading decides the interval. The send decision uses
+ * intervalFromMotionState() instead.
  * @param {number} speed - Speed in m/s
  * @returns {number} Interval in milliseconds
  */
 export function intervalFromSpeed(speed) {
-  if (speed < SPEED_THRESHOLDS.STILL) {
-    return TIME_INTERVALS.STILL;
-  } else if (speed < SPEED_THRESHOLDS.WALKING) {
-    return TIME_INTERVALS.WALKING;
-  } else if (speed < SPEED_THRESHOLDS.BIKE) {
-    return TIME_INTERVALS.BIKE;
-  } else {
-    return TIME_INTERVALS.VEHICLE;
+  return sendPolicy().intervals[motionClassFromSpeed(speed)];
+}
+
+/**
+ * Get interval for a motion state
+ * @param {string|null} state - Motion state from motionState.js, null if not known yet
+ * @returns {number} Interval in milliseconds
+ */
+export function intervalFromMotionState(state) {
+  return sendPolicy().intervals[state || DEFAULT_MOTION_STATE];
+}
+
+/**
+ * Get the distance a user has to move before the next fix is sent
+ * @returns {number} Distance in meters
+ */
+export function getDistanceThreshold() {
+  return sendPolicy().distanceThreshold;
+}
+
+/**
+ * Generate a unique ID for a location fix
+ * The ID is assigned once when the payload is built and kept through
+ * buffering and retries so the server can deduplicate replays.
+ * @param {number} timestamp - Fix timestamp in milliseconds
+ * @returns {string} Unique fix ID
+ */
+function createFixId(timestamp) {
+  const random = Math.random().toString(36).slice(2, 10) + Math.random().toString(36).slice(2, 10);
+  return `fix-${timestamp.toString(36)}-${random}`;
+}
+
+/**
+ * Build the payload sent to the server for a location fix
+ * Payloads built while an SOS is active are marked emergency.
+ * @param {Object} location - Location object from expo-location
+ * @param {Object} options - { expectedInterval } the send interval of the current motion
+ *   state in milliseconds, so the server can tell whether the next fix is overdue
+ * @returns {Promise<Object>} Location payload with a stable unique ID
+ * @throws {Error} If no user is signed in
+ */
+export async function buildPayload(location, { expectedInterval = null } = {}) {
+  const { coords, timestamp } = location;
+  const { latitude, longitude, speed, accuracy } = coords;
+  
+  const user = await getRequestUser();
+  if (!user) {
+    throw new Error('Not signed in: location is not attributed to any user');
+  }
+  
+  return {
+    id: createFixId(timestamp),
+    type: 'location',
+    userId: user.id,
+    lat: latitude,
+    lon: longitude,
+    // iOS reports -1 when the speed is unknown; the server only accepts speeds of at least 0
+    speed: speed !== null && speed >= 0 ? speed : 0,
+    accuracy: accuracy,
+    timestamp: new Date(timestamp).toISOString(),
+    ...(expectedInterval !== null ? { expectedInterval } : {}),
+    ...(await isEmergencyActive() ? { emergency: true } : {})
+  };
+}
+
+/**
+ * Build the payload for a geofence transition
+ * @param {Object} geofenceEvent - { event, place } from evaluateGeofences()
+ * @param {Object} location - Fix that triggered the transition
+ * @returns {Promise<Object>} Geofence event payload with its own unique ID
+ */
+export async function buildGeofencePayload({ event, place }, location) {
+  return {
+    ...(await buildPayload(location)),
+    type: 'geofence',
+    event,
+    placeId: place.id,
+    placeName: place.name,
+    placeLat: place.lat,
+    placeLon: place.lon,
+    placeRadius: place.radius
+  };
+}
+
+/**
+ * Evaluate geofences for a fix and send any enter/exit/dwell events
+ * Events are sent regardless of the adaptive logic
+ * @param {Object} location - Location object from expo-location
+ * @returns {Promise<Array>} Events that were detected
+ */
+export async function reportGeofenceEvents(location) {
+  const events = await evaluateGeofences(location);
+  for (const geofenceEvent of events) {
+    console.debug(`Geofence ${geofenceEvent.event}: ${geofenceEvent.place.name}`);
+    await sendProtectedPayload(await buildGeofencePayload(geofenceEvent, location));
   }
+  return events;
+}
+
+/**
+ * Apply privacy zones to a payload, then send it
+ * Fixes must go through here rather than sendPayload() so nothing inside a
+ * privacy zone is sent or written to the offline buffer unprotected
+ * @param {Object} payload - Location or event payload
+ * @returns {Promise<Object>} { success, payload, privacy } where payload is what was
+ *   actually sent (null if suppressed) and privacy is { status, zoneName, timestamp }
+ */
+export async function sendProtectedPayload(payload) {
+  // Someone sending an SOS from inside a privacy zone (e.g. at home) needs to be found there
+  const { payload: protectedPayload, status, zone } = payload.emergency
+    ? { payload, status: 'clear', zone: null }
+    : await applyPrivacyZones(payload);
+  const privacy = { status, zoneName: zone ? zone.name : null, timestamp: payload.timestamp };
+  if (payload.type === 'location') {
+    lastPrivacyStatus = privacy;
+  }
+
+  if (!protectedPayload) {
+    console.debug(`Suppressed ${payload.type} inside privacy zone "${zone.name}"`);
+    return { success: false, payload: null, privacy };
+  }
+  if (status === 'blurred') {
+    console.debug(`Blurred ${payload.type} inside privacy zone "${zone.name}"`);
+  }
+
+  const success = await sendPayload(protectedPayload);
+  return { success, payload: protectedPayload, privacy };
 }
 
 /**
@@ -119,7 +293,7 @@ export async function checkBackgroundPermissions() {
 }
 
 /**
- * Start foreground location updates
+ * Start foreground location updates with the active profile's sampling settings
  * @param {Function} callback - Function to call with location data
  */
 export async function startForegroundLocationUpdates(callback) {
@@ -128,12 +302,15 @@ export async function startForegroundLocationUpdates(callback) {
     locationSubscription.remove();
   }
 
+  const { foreground } = await getActiveProfile();
+  foregroundCallback = callback;
+
   // Start watching position
   locationSubscription = await Location.watchPositionAsync(
     {
-      accuracy: Location.Accuracy.High,
-      timeInterval: 5000, // 5 seconds
-      distanceInterval: 5, // 5 meters
+      accuracy: Location.Accuracy[foreground.accuracy],
+      timeInterval: foreground.timeInterval,
+      distanceInterval: foreground.distanceInterval,
     },
     (location) => {
       console.debug('Foreground location update:', location);
@@ -150,20 +327,26 @@ export function stopForegroundLocationUpdates() {
     locationSubscription.remove();
     locationSubscription = null;
   }
+  foregroundCallback = null;
 }
 
 /**
- * Start background location updates
+ * Start background location updates with the active profile's sampling settings
  */
 export async function startBackgroundLocationUpdates() {
+  const { background, emergency } = await getActiveProfile();
+
   // Define the background task (actual implementation in locationTask.js)
   await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
-    accuracy: Location.Accuracy.High,
-    timeInterval: 30000, // 30 seconds
-    distanceInterval: 10, // 10 meters
-    deferredUpdatesInterval: 60000, // 1 minute
-    deferredUpdatesDistance: 50, // 50 meters
-    foregroundService: {
+    accuracy: Location.Accuracy[background.accuracy],
+    timeInterval: background.timeInterval,
+    distanceInterval: background.distanceInterval,
+    deferredUpdatesInterval: background.deferredUpdatesInterval,
+    deferredUpdatesDistance: background.deferredUpdatesDistance,
+    foregroundService: emergency ? {
+      notificationTitle: 'SOS Active',
+      notificationBody: 'Sending your exact location to your emergency contacts until you cancel',
+    } : {
       notificationTitle: 'Location Sharing Active',
       notificationBody: 'Sharing your location adaptively',
     },
@@ -179,8 +362,76 @@ export async function stopBackgroundLocationUpdates() {
   await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
 }
 
+/**
+ * Load the selected tracking profile and restart running location updates with it
+ * Call after the selection or the custom profile changed, or an SOS started or ended.
+ * @returns {Promise<Object>} The now active profile
+ */
+export async function reloadTrackingProfile() {
+  await applyTrackingProfile(await getSelectedProfile());
+
+  if (locationSubscription && foregroundCallback) {
+    await startForegroundLocationUpdates(foregroundCallback);
+  }
+  if (await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK_NAME)) {
+    await stopBackgroundLocationUpdates();
+    await startBackgroundLocationUpdates();
+  }
+  console.debug(`Tracking profile ${activeProfile.name} active`);
+  return activeProfile;
+}
+
+/**
+ * Remember a successfully sent payload as the last sent location and persist it
+ * Older fixes (e.g. replayed from the buffer) never replace a newer one,
+ * and event payloads such as geofence transitions are ignored
+ * @param {Object} payload - Payload acknowledged by the server
+ */
+async function rememberSentLocation(payload) {
+  if (payload.type && payload.type !== 'location') {
+    return;
+  }
+  
+  const timestamp = new Date(payload.timestamp).getTime(); // Store as milliseconds since epoch
+  await loadLastSentLocation();
+  if (lastSentLocation && lastSentLocation.timestamp > timestamp) {
+    return;
+  }
+  
+  lastSentLocation = {
+    lat: payload.lat,
+    lon: payload.lon,
+    speed: payload.speed,
+    timestamp
+  };
+  await saveAdaptiveState({ lastSentLocation });
+}
+
+/**
+ * Schedule buffered payloads for another attempt after a failed upload
+ * Payloads that have used up all their attempts are quarantined
+ * @param {Array} payloads - Buffered payloads that failed
+ * @param {string} reason - Short description of the failure
+ */
+async function scheduleRetry(payloads, reason) {
+  const exhausted = await recordFailure(payloads.map((payload) => payload.id), reason);
+  if (exhausted.length > 0) {
+    console.warn(`Giving up on ${exhausted.length} locations after repeated failures`);
+    const exhaustedIds = new Set(exhausted);
+    await quarantinePayloads(
+      payloads
+        .filter((payload) => exhaustedIds.has(payload.id))
+        .map((payload) => ({ payload, reason: `Retries exhausted: ${reason}` }))
+    );
+    await removeFromBuffer(exhausted);
+    await updateHistoryStatus(exhausted, 'failed', `Retries exhausted: ${reason}`);
+  }
+}
+
 /**
  * Send location payload to server
+ * Temporary failures are buffered for retry, rejected payloads are quarantined.
+ * Payloads must already have privacy zones applied, see sendProtectedPayload()
  * @param {Object} payload - Location data to send
  * @returns {Promise<boolean>} True if successful
  */
@@ -193,103 +444,179 @@ export async function sendPayload(payload) {
       await saveBuffer(payload);
       return false;
     }
+    if (await isAuthTokenRejected()) {
+      console.debug('Auth token from Settings was refused: buffering location data');
+      await saveBuffer(payload);
+      return false;
+    }
 
-    // Get auth token from secure store
-    const authToken = await SecureStore.getItemAsync('auth_token');
-    
     // Send to server
-    const SERVER_URL = process.env.EXPO_PUBLIC_SERVER_URL || 'http://localhost:3000';
-    const response = await fetch(`${SERVER_URL}/api/location/update`, {
+    const response = await fetch(`${await getServerUrl()}/api/location/update`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken || 'placeholder-token'}`
-      },
+      headers: await buildHeaders(),
       body: JSON.stringify(payload)
     });
 
-    if (response.ok) {
-      console.debug('Location sent successfully');
-      lastSentLocation = {
-        lat: payload.lat,
-        lon: payload.lon,
-        timestamp: new Date(payload.timestamp).getTime() // Store as milliseconds since epoch
-      };
+    const outcome = classifyStatus(response.status);
+    if (outcome === 'success') {
+      const { status } = await response.json();
+      console.debug(status === 'duplicate' ? 'Location already received by server' : 'Location sent successfully');
+      await rememberSentLocation(payload);
+      await updateHistoryStatus([payload.id], 'sent');
       return true;
+    } else if (outcome === 'reject') {
+      const body = await response.json().catch(() => null);
+      const { retry, reason } = classifyRejection(body, `HTTP ${response.status}`);
+      if (retry) {
+        console.debug(`Server deferred location (${reason}), buffering for retry...`);
+        await saveBuffer(payload);
+        await scheduleRetry([payload], reason);
+        return false;
+      }
+      console.warn(`Server rejected location (${reason}), quarantining`);
+      await quarantinePayloads([{ payload, reason }]);
+      await updateHistoryStatus([payload.id], 'failed', reason);
+      return false;
     } else {
-      console.debug('Failed to send location, buffering...');
+      console.debug('Failed to send location, buffering for retry...');
       await saveBuffer(payload);
+      if (await holdOnAuthTokenRejection(response.status)) {
+        return false;
+      }
+      await scheduleRetry([payload], `HTTP ${response.status}`);
       return false;
     }
   } catch (error) {
     console.error('Error sending location:', error);
     await saveBuffer(payload);
+    await scheduleRetry([payload], error.message);
     return false;
   }
 }
 
 /**
- * Flush buffered locations when network returns
+ * Upload a batch of location payloads in a single request
+ * @param {Array} payloads - Ordered location payloads to send
+ * @returns {Promise<Object>} { results } on success, or { reason, status } if the request
+ *   failed, with status null when there was no response
  */
-export async function flushBuffer() {
+async function sendBatch(payloads) {
+  try {
+    const response = await fetch(`${await getServerUrl()}/api/location/batch`, {
+      method: 'POST',
+      headers: await buildHeaders(),
+      body: JSON.stringify({ locations: payloads })
+    });
+
+    if (!response.ok) {
+      console.debug(`Batch upload failed with status ${response.status}`);
+      return { reason: `HTTP ${response.status}`, status: response.status };
+    }
+
+    const { results } = await response.json();
+    return Array.isArray(results) ? { results } : { reason: 'Malformed batch response' };
+  } catch (error) {
+    console.error('Error sending batch:', error);
+    return { reason: error.message, status: null };
+  }
+}
+
+/**
+ * Flush buffered locations that are due for another attempt
+ * Uploads the buffer in batches and removes only the acknowledged entries.
+ * Concurrent calls share the flush that is already running.
+ * @returns {Promise<void>}
+ */
+export function flushBuffer() {
+  if (!flushInProgress) {
+    flushInProgress = flushBufferedPayloads().finally(() => {
+      flushInProgress = null;
+    });
+  }
+  return flushInProgress;
+}
+
+/**
+ * Upload due buffered payloads in batches
+ */
+async function flushBufferedPayloads() {
   try {
     const networkState = await Network.getNetworkStateAsync();
     if (!networkState.isConnected) {
       return;
     }
 
+    if (await isAuthTokenRejected()) {
+      return;
+    }
+
     const buffer = await getBuffer();
-    if (buffer.length > 0) {
-      console.debug(`Flushing ${buffer.length} buffered locations`);
+    if (buffer.length === 0) {
+      return;
+    }
+
+    // Only send entries whose backoff delay has elapsed
+    const retryState = await getRetryState();
+    const now = Date.now();
+    const due = buffer.filter((payload) => isDue(retryState, payload.id, now));
+    if (due.length === 0) {
+      console.debug(`${buffer.length} buffered locations waiting for retry`);
+      return;
+    }
+
+    console.debug(`Flushing ${due.length} of ${buffer.length} buffered locations in batches of ${BATCH_SIZE}`);
+    
+    const acknowledgedIds = [];
+    const rejected = [];
+    for (let start = 0; start < due.length; start += BATCH_SIZE) {
+      const batch = due.slice(start, start + BATCH_SIZE);
+      const { results, reason, status } = await sendBatch(batch);
       
-      for (const payload of buffer) {
-        await sendPayload(payload);
+      // Back off on a failed request and keep the remaining entries for the next flush;
+      // a refused Settings token holds them without using up their attempts
+      if (!results) {
+        if (!(await holdOnAuthTokenRejection(status))) {
+          await scheduleRetry(batch, reason);
+        }
+        break;
       }
       
-      await clearBuffer();
+      // New and duplicate fixes are both safely stored on the server
+      for (const result of results) {
+        const payload = batch[result.index];
+        if (!payload) {
+          continue;
+        }
+        if (result.success) {
+          acknowledgedIds.push(payload.id);
+          await rememberSentLocation(payload);
+          continue;
+        }
+        
+        // Payloads that may be accepted later stay buffered, the rest will never be
+        const { retry, reason: rejection } = classifyRejection(result, 'Rejected by server');
+        if (retry) {
+          await scheduleRetry([payload], rejection);
+        } else {
+          rejected.push({ payload, reason: rejection });
+        }
+      }
+    }
+    
+    if (rejected.length > 0) {
+      console.warn(`Server rejected ${rejected.length} buffered locations, quarantining`);
+      await quarantinePayloads(rejected);
+      for (const { payload, reason } of rejected) {
+        await updateHistoryStatus([payload.id], 'failed', reason);
+      }
     }
+    await updateHistoryStatus(acknowledgedIds, 'sent');
+    await removeFromBuffer([...acknowledgedIds, ...rejected.map(({ payload }) => payload.id)]);
+    
+    const remaining = await getBuffer();
+    await pruneRetryState(remaining.map((payload) => payload.id));
+    console.debug(`Flushed ${acknowledgedIds.length} buffered locations, ${remaining.length} remaining`);
   } catch (error) {
     console.error('Error flushing buffer:', error);
   }
 }
-
-/**
- * Decide whether to send location based on adaptive logic
- * @param {Object} location - Current location object
- * @returns {Promise<boolean>} True if should send
- */
-export async function shouldSendLocation(location) {
-  const { coords, timestamp } = location;
-  const { latitude, longitude, speed, accuracy } = coords;
-  
-  // Use 0 as default speed if not available
-  const currentSpeed = speed !== null ? speed : 0;
-  
-  // Calculate current interval based on speed
-  const currentInterval = intervalFromSpeed(currentSpeed);
-  
-  // If this is the first location, send it
-  if (!lastSentLocation) {
-    return true;
-  }
-  
-  // Calculate distance from last sent location
-  const distance = haversineDistance(
-    lastSentLocation.lat,
-    lastSentLocation.lon,
-    latitude,
-    longitude
-  );
-  
-  // Calculate time since last sent (both timestamps are now in milliseconds)
-  const timeSinceLast = timestamp - lastSentLocation.timestamp;
-  
-  console.debug(`Distance: ${distance}m, Time since last: ${timeSinceLast}ms, Interval: ${currentInterval}ms`);
-  
-  // Check if enough time has passed and user has moved enough
-  if (distance >= DISTANCE_THRESHOLD && timeSinceLast >= currentInterval) {
-    return true;
-  }
-  
-  return false;
-}
\ No newline at end of file
@@ -0,0 +1,170 @@
+import { haversineDistance } from './geo';
+import { SPEED_THRESHOLDS } from './trackingProfiles';
+
+// Reported speeds above this are GPS glitches rather than movement
+const MAX_PLAUSIBLE_SPEED = 70; // m/s (~250 km/h)
+
+// Default motion state settings, see configureMotionState()
+const motionSettings = {
+  dwellTime: 30 * 1000,          // a new state must hold this long before switching
+  windowDuration: 2 * 60 * 1000, // fixes older than this are not used to estimate speed
+  speedThresholds: SPEED_THRESHOLDS // upper speed of each state in m/s, set by the tracking profile
+};
+
+// The median over this many fixes rejects up to two spikes while still reacting quickly
+const MAX_WINDOW_SIZE = 5;
+
+// Recent fixes { timestamp, lat, lon, speed } and the state derived from them
+let fixWindow = [];
+let currentState = null;
+let candidate = null; // { state, since } while a different state is being observed
+let estimatedSpeed = null;
+
+/**
+ * Override motion state settings
+ * @param {Object} settings - Any of { dwellTime, windowDuration } in milliseconds, or
+ *   speedThresholds { STILL, WALKING, BIKE } in m/s
+ */
+export function configureMotionState(settings) {
+  Object.assign(motionSettings, settings);
+}
+
+/**
+ * Get the motion class for a speed
+ * @param {number} speed - Speed in m/s
+ * @returns {string} 'STILL', 'WALKING', 'BIKE' or 'VEHICLE'
+ */
+export function motionClassFromSpeed(speed) {
+  const thresholds = motionSettings.speedThresholds;
+  if (speed < thresholds.STILL) {
+    return 'STILL';
+  } else if (speed < thresholds.WALKING) {
+    return 'WALKING';
+  } else if (speed < thresholds.BIKE) {
+    return 'BIKE';
+  } else {
+    return 'VEHICLE';
+  }
+}
+
+/**
+ * Get the speed of a fix, derived from the displacement since the previous fix
+ * when the reported speed is missing or implausible
+ * @param {Object} fix - Fix { timestamp, lat, lon, speed }
+ * @param {Object|undefined} previous - Previous fix in the window
+ * @returns {number|null} Speed in m/s, or null if it can't be determined
+ */
+function fixSpeed(fix, previous) {
+  if (fix.speed !== null && fix.speed !== undefined && fix.speed >= 0 && fix.speed <= MAX_PLAUSIBLE_SPEED) {
+    return fix.speed;
+  }
+  if (!previous || fix.timestamp <= previous.timestamp) {
+    return null;
+  }
+  const distance = haversineDistance(previous.lat, previous.lon, fix.lat, fix.lon);
+  return distance / ((fix.timestamp - previous.timestamp) / 1000);
+}
+
+/**
+ * Estimate the current speed as the median over the window
+ * The median ignores isolated spikes that would otherwise flip the state.
+ * @returns {number|null} Speed in m/s, or null if no fix has a usable speed
+ */
+function estimateSpeed() {
+  const speeds = fixWindow
+    .map((fix, index) => fixSpeed(fix, fixWindow[index - 1]))
+    .filter((speed) => speed !== null)
+    .sort((a, b) => a - b);
+
+  if (speeds.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(speeds.length / 2);
+  return speeds.length % 2 === 1 ? speeds[middle] : (speeds[middle - 1] + speeds[middle]) / 2;
+}
+
+/**
+ * Feed a fix into the motion state machine
+ * The state only changes once a different state has been observed for the dwell
+ * time. Fixes that are not newer than the last one (e.g. the same fix reported by
+ * both the foreground and background paths) are ignored.
+ * @param {Object} location - Location object from expo-location
+ * @returns {Object} Current motion state, see getMotionState()
+ */
+export function updateMotionState(location) {
+  const { coords, timestamp } = location;
+  const last = fixWindow[fixWindow.length - 1];
+  if (last && timestamp <= last.timestamp) {
+    return getMotionState();
+  }
+
+  fixWindow.push({ timestamp, lat: coords.latitude, lon: coords.longitude, speed: coords.speed });
+  fixWindow = fixWindow
+    .filter((fix) => timestamp - fix.timestamp <= motionSettings.windowDuration)
+    .slice(-MAX_WINDOW_SIZE);
+
+  estimatedSpeed = estimateSpeed();
+  if (estimatedSpeed === null) {
+    // A first fix without speed says nothing about movement yet
+    return getMotionState();
+  }
+
+  const observed = motionClassFromSpeed(estimatedSpeed);
+  if (!currentState || observed === currentState) {
+    currentState = observed;
+    candidate = null;
+  } else if (!candidate || candidate.state !== observed) {
+    candidate = { state: observed, since: timestamp };
+  }
+
+  if (candidate && timestamp - candidate.since >= motionSettings.dwellTime) {
+    console.debug(`Motion state ${currentState} -> ${candidate.state}`);
+    currentState = candidate.state;
+    candidate = null;
+  }
+
+  return getMotionState();
+}
+
+/**
+ * Get the current motion state
+ * @returns {Object} { state, speed, candidate } where state is null until the
+ *   first usable fix and speed is the estimated speed in m/s
+ */
+export function getMotionState() {
+  return {
+    state: currentState,
+    speed: estimatedSpeed,
+    candidate: candidate ? { ...candidate } : null
+  };
+}
+
+/**
+ * Get the state machine internals so they can be persisted
+ * @returns {Object} { fixWindow, currentState, candidate, estimatedSpeed }
+ */
+export function exportMotionState() {
+  return { fixWindow: [...fixWindow], currentState, candidate: candidate ? { ...candidate } : null, estimatedSpeed };
+}
+
+/**
+ * Restore internals saved by exportMotionState(), e.g. after the OS restarted the background task
+ * Fixes in the window that are too old are dropped with the next update.
+ * @param {Object} snapshot - Result of exportMotionState()
+ */
+export function restoreMotionState(snapshot) {
+  fixWindow = Array.isArray(snapshot.fixWindow) ? snapshot.fixWindow.slice(-MAX_WINDOW_SIZE) : [];
+  currentState = snapshot.currentState || null;
+  candidate = snapshot.candidate || null;
+  estimatedSpeed = snapshot.estimatedSpeed ?? null;
+}
+
+/**
+ * Forget all fixes and the current state, e.g. when tracking stops
+ */
+export function resetMotionState() {
+  fixWindow = [];
+  currentState = null;
+  candidate = null;
+  estimatedSpeed = null;
+}
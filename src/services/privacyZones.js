@@ -0,0 +1,132 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { haversineDistance } from './geo';
+
+const ZONES_KEY = 'privacy_zones';
+
+// Default radius for new zones
+export const DEFAULT_ZONE_RADIUS = 200; // meters
+
+// Blurred fixes report at least this accuracy so they can't be mistaken for exact ones
+const BLURRED_MIN_ACCURACY = 500; // meters
+
+// How a zone protects fixes inside it
+export const ZONE_MODES = {
+  SUPPRESS: 'suppress', // the fix is not sent at all
+  BLUR: 'blur'          // the fix is replaced with the zone's centroid
+};
+
+/**
+ * Get all privacy zones
+ * @returns {Promise<Array>} Array of { id, name, lat, lon, radius, mode, createdAt }
+ */
+export async function getPrivacyZones() {
+  try {
+    const zones = await AsyncStorage.getItem(ZONES_KEY);
+    return zones ? JSON.parse(zones) : [];
+  } catch (error) {
+    console.error('Error getting privacy zones:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a new privacy zone
+ * @param {Object} zone - { name, lat, lon, radius, mode }
+ * @returns {Promise<Object>} The saved zone with its ID
+ */
+export async function addPrivacyZone({ name, lat, lon, radius = DEFAULT_ZONE_RADIUS, mode = ZONE_MODES.SUPPRESS }) {
+  const zone = {
+    id: `zone-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    lat,
+    lon,
+    radius,
+    mode,
+    createdAt: new Date().toISOString()
+  };
+  const zones = await getPrivacyZones();
+  zones.push(zone);
+  await AsyncStorage.setItem(ZONES_KEY, JSON.stringify(zones));
+  return zone;
+}
+
+/**
+ * Remove a privacy zone
+ * @param {string} zoneId - ID of the zone to remove
+ */
+export async function removePrivacyZone(zoneId) {
+  try {
+    const zones = await getPrivacyZones();
+    await AsyncStorage.setItem(ZONES_KEY, JSON.stringify(zones.filter((zone) => zone.id !== zoneId)));
+  } catch (error) {
+    console.error('Error removing privacy zone:', error);
+  }
+}
+
+/**
+ * Apply privacy zones to a payload before it is sent or buffered
+ * A fix counts as inside a zone if its uncertainty circle touches the zone,
+ * so an inaccurate fix near home is protected too. Suppressing zones win over
+ * blurring ones when a fix is in both.
+ * @param {Object} payload - Location or event payload
+ * @returns {Promise<Object>} { payload, status, zone } where payload is null when
+ *   suppressed and status is 'clear', 'blurred' or 'suppressed'
+ */
+export async function applyPrivacyZones(payload) {
+  const zones = await getPrivacyZones();
+  const matching = zones.filter((zone) =>
+    haversineDistance(zone.lat, zone.lon, payload.lat, payload.lon) <= zone.radius + (payload.accuracy || 0)
+  );
+
+  const suppressing = matching.find((zone) => zone.mode === ZONE_MODES.SUPPRESS);
+  if (suppressing) {
+    return { payload: null, status: 'suppressed', zone: suppressing };
+  }
+
+  const blurring = matching[0];
+  if (blurring) {
+    // Geofence events also carry the exact centre of the place they refer to
+    const { placeLat, placeLon, placeRadius, ...rest } = payload;
+    return {
+      payload: {
+        ...rest,
+        lat: blurring.lat,
+        lon: blurring.lon,
+        speed: 0,
+        accuracy: Math.max(blurring.radius, BLURRED_MIN_ACCURACY)
+      },
+      status: 'blurred',
+      zone: blurring
+    };
+  }
+
+  return { payload, status: 'clear', zone: null };
+}
+
+/**
+ * Apply privacy zones to a fix before it is stored on the device
+ * A fix inside any zone keeps only the zone's centroid, as a blurred payload does, so
+ * the local history holds no more than that the user was somewhere in the zone.
+ * @param {Object} location - Location object from expo-location
+ * @returns {Promise<Object>} { location, status } where status is 'clear', 'blurred' or 'suppressed'
+ */
+export async function protectLocation(location) {
+  const { latitude, longitude, accuracy } = location.coords;
+  const { status, zone } = await applyPrivacyZones({ lat: latitude, lon: longitude, accuracy });
+  if (!zone) {
+    return { location, status };
+  }
+
+  return {
+    location: {
+      timestamp: location.timestamp,
+      coords: {
+        latitude: zone.lat,
+        longitude: zone.lon,
+        speed: 0,
+        accuracy: Math.max(zone.radius, BLURRED_MIN_ACCURACY)
+      }
+    },
+    status
+  };
+}
@@ -0,0 +1,190 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const RETRY_STATE_KEY = 'retry_state';
+
+// Backoff settings for failed uploads
+const BASE_RETRY_DELAY = 5 * 1000;        // 5 seconds
+const MAX_RETRY_DELAY = 30 * 60 * 1000;   // 30 minutes
+export const MAX_RETRY_ATTEMPTS = 12;
+
+// 4xx statuses that describe a temporary condition rather than a bad payload
+// (401 means the credentials need renewing, not that the payload is wrong)
+const RETRYABLE_CLIENT_STATUSES = [401, 408, 429];
+
+/**
+ * Classify an HTTP response status for retry handling
+ * @param {number} status - HTTP status code
+ * @returns {string} 'success', 'retry' (5xx and temporary errors) or 'reject' (other 4xx)
+ */
+export function classifyStatus(status) {
+  if (status >= 200 && status < 300) {
+    return 'success';
+  }
+  if (status >= 400 && status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(status)) {
+    return 'reject';
+  }
+  return 'retry';
+}
+
+// Validation codes the server can report for a payload that may be accepted later
+// (a device clock running ahead settles, every other violation is permanent)
+const RETRYABLE_VIOLATIONS = ['timestamp_in_future'];
+
+/**
+ * Decide whether a payload the server rejected is worth retrying
+ * @param {Object|null} body - Rejection { error, code, violations } from the server, if any
+ * @param {string} fallbackReason - Reason to report when the body has no details
+ * @returns {Object} { retry, reason } where reason lists the violations as 'path: code'
+ */
+export function classifyRejection(body, fallbackReason) {
+  const violations = body && Array.isArray(body.violations) ? body.violations : [];
+  if (violations.length === 0) {
+    return { retry: false, reason: (body && body.error) || fallbackReason };
+  }
+  return {
+    retry: violations.every((violation) => RETRYABLE_VIOLATIONS.includes(violation.code)),
+    reason: violations.map((violation) => `${violation.path}: ${violation.code}`).join(', ')
+  };
+}
+
+/**
+ * Compute the delay before the next attempt using exponential backoff with full jitter
+ * @param {number} attempts - Number of failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempts) {
+  const ceiling = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, Math.max(attempts - 1, 0)));
+  // Full jitter spreads retries from many devices, but never retry sooner than the base delay
+  return Math.max(BASE_RETRY_DELAY, Math.round(Math.random() * ceiling));
+}
+
+// Promise chain serializing read-modify-write cycles of the retry state, which the
+// foreground flush and the background task can run at the same time
+let retryLock = Promise.resolve();
+
+/**
+ * Run a retry state change once all previously queued changes have finished
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withRetryLock(operation) {
+  const result = retryLock.then(operation, operation);
+  retryLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Get the persisted retry state for all buffered payloads
+ * @returns {Promise<Object>} Map of fix ID to { attempts, nextAttemptAt, lastError }
+ */
+export async function getRetryState() {
+  try {
+    const state = await AsyncStorage.getItem(RETRY_STATE_KEY);
+    return state ? JSON.parse(state) : {};
+  } catch (error) {
+    console.error('Error getting retry state:', error);
+    return {};
+  }
+}
+
+/**
+ * Persist the retry state
+ * @param {Object} state - Map of fix ID to retry entry
+ */
+async function saveRetryState(state) {
+  try {
+    await AsyncStorage.setItem(RETRY_STATE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error saving retry state:', error);
+  }
+}
+
+/**
+ * Check whether a buffered payload is due for another attempt
+ * @param {Object} state - Retry state from getRetryState()
+ * @param {string} id - Fix ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the payload can be sent now
+ */
+export function isDue(state, id, now = Date.now()) {
+  const entry = state[id];
+  return !entry || entry.nextAttemptAt <= now;
+}
+
+/**
+ * Record a failed attempt for some payloads and schedule their next attempt
+ * @param {Array<string>} ids - IDs of the payloads that failed
+ * @param {string} reason - Short description of the failure
+ * @returns {Promise<Array<string>>} IDs that have now used up all their attempts
+ */
+export function recordFailure(ids, reason) {
+  if (ids.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return withRetryLock(async () => {
+    const state = await getRetryState();
+    const now = Date.now();
+    const exhausted = [];
+
+    for (const id of ids) {
+      const attempts = (state[id] ? state[id].attempts : 0) + 1;
+      if (attempts >= MAX_RETRY_ATTEMPTS) {
+        exhausted.push(id);
+        delete state[id];
+        continue;
+      }
+      state[id] = {
+        attempts,
+        nextAttemptAt: now + computeBackoffDelay(attempts),
+        lastError: reason
+      };
+    }
+
+    await saveRetryState(state);
+    return exhausted;
+  });
+}
+
+/**
+ * Forget the retry state of payloads that no longer need retrying
+ * @param {Array<string>} ids - IDs to forget
+ */
+export function clearRetryState(ids) {
+  if (ids.length === 0) {
+    return Promise.resolve();
+  }
+
+  return withRetryLock(async () => {
+    const state = await getRetryState();
+    ids.forEach((id) => delete state[id]);
+    await saveRetryState(state);
+  });
+}
+
+/**
+ * Drop retry entries for payloads that are no longer buffered
+ * @param {Array<string>} bufferedIds - IDs currently in the buffer
+ */
+export function pruneRetryState(bufferedIds) {
+  return withRetryLock(async () => {
+    const state = await getRetryState();
+    const keep = new Set(bufferedIds);
+    const stale = Object.keys(state).filter((id) => !keep.has(id));
+
+    if (stale.length > 0) {
+      stale.forEach((id) => delete state[id]);
+      await saveRetryState(state);
+    }
+  });
+}
+
+/**
+ * Get the time of the earliest scheduled retry
+ * @returns {Promise<number|null>} Timestamp in milliseconds, or null if nothing is scheduled
+ */
+export async function getNextRetryAt() {
+  const state = await getRetryState();
+  const times = Object.values(state).map((entry) => entry.nextAttemptAt);
+  return times.length > 0 ? Math.min(...times) : null;
+}
@@ -0,0 +1,146 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { MOTION_STATES } from './trackingProfiles';
+
+const SETTINGS_KEY = 'app_settings';
+
+// The auth token is a credential, so it is kept in SecureStore like the session's tokens;
+// AsyncStorage only holds the other settings
+const AUTH_TOKEN_KEY = 'settings_auth_token';
+
+// A null value means "not overridden": the server URL falls back to EXPO_PUBLIC_SERVER_URL,
+// the auth token to the signed-in session and the thresholds to the active tracking profile.
+// authTokenUser is the user the server named for the auth token when it was saved, and
+// authTokenRejectedAt is set once the server refuses that token, see api.js.
+export const DEFAULT_SETTINGS = {
+  serverUrl: null,
+  authToken: null,
+  authTokenUser: null,
+  authTokenRejectedAt: null,
+  distanceThreshold: null,
+  intervals: Object.fromEntries(MOTION_STATES.map((state) => [state, null]))
+};
+
+/**
+ * Get the stored settings
+ * Read on every use rather than cached, so the background task sees changes made in the UI.
+ * @returns {Promise<Object>} { serverUrl, authToken, authTokenUser, authTokenRejectedAt,
+ *   distanceThreshold, intervals } with distanceThreshold in meters and intervals per
+ *   motion state in milliseconds
+ */
+export async function getSettings() {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+    const { authToken: plainToken, ...settings } = stored ? JSON.parse(stored) : {};
+    // Move a token stored in plain text by an earlier version into SecureStore
+    if (plainToken) {
+      await SecureStore.setItemAsync(AUTH_TOKEN_KEY, plainToken);
+      await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }
+    return {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      authToken: await SecureStore.getItemAsync(AUTH_TOKEN_KEY),
+      intervals: { ...DEFAULT_SETTINGS.intervals, ...settings.intervals }
+    };
+  } catch (error) {
+    console.error('Error getting settings:', error);
+    return { ...DEFAULT_SETTINGS, intervals: { ...DEFAULT_SETTINGS.intervals } };
+  }
+}
+
+/**
+ * Validate settings
+ * @param {Object} settings - Settings to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSettings(settings) {
+  if (settings.serverUrl !== null && !/^https?:\/\/[^\s/?#]+(\/[^\s?#]*)?$/.test(settings.serverUrl)) {
+    return 'Server URL must start with http:// or https:// and have no query string';
+  }
+  if (settings.authToken !== null && !/^\S+$/.test(settings.authToken)) {
+    return 'Auth token must not be empty or contain spaces';
+  }
+  if (settings.authToken !== null && !settings.authTokenUser) {
+    return 'Auth token must be checked with the server before it is saved';
+  }
+  if (settings.distanceThreshold !== null && !(settings.distanceThreshold >= 0)) {
+    return 'Distance threshold must be at least 0 meters';
+  }
+  for (const state of MOTION_STATES) {
+    const interval = settings.intervals[state];
+    if (interval !== null && !(interval >= 1000)) {
+      return `Send interval for ${state} must be at least 1 second`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Save changes to the settings
+ * Takes effect on the next request or fix; nothing needs restarting.
+ * @param {Object} changes - Any of { serverUrl, authToken, authTokenUser, authTokenRejectedAt,
+ *   distanceThreshold, intervals }, null to go back to the default of a field
+ * @returns {Promise<Object>} Updated settings
+ * @throws {Error} If a value is invalid
+ */
+export async function saveSettings(changes) {
+  const current = await getSettings();
+  const settings = {
+    ...current,
+    ...changes,
+    intervals: { ...current.intervals, ...changes.intervals }
+  };
+  // Requests append paths to the URL, so a trailing slash would double up
+  if (settings.serverUrl !== null) {
+    settings.serverUrl = settings.serverUrl.replace(/\/+$/, '');
+  }
+
+  const error = validateSettings(settings);
+  if (error) {
+    throw new Error(error);
+  }
+  const { authToken, ...stored } = settings;
+  if (authToken !== null) {
+    await SecureStore.setItemAsync(AUTH_TOKEN_KEY, authToken);
+  } else {
+    await SecureStore.deleteItemAsync(AUTH_TOKEN_KEY);
+  }
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(stored));
+  return settings;
+}
+
+/**
+ * Reset all settings to their defaults
+ */
+export async function resetSettings() {
+  try {
+    await AsyncStorage.removeItem(SETTINGS_KEY);
+    await SecureStore.deleteItemAsync(AUTH_TOKEN_KEY);
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+  }
+}
+
+/**
+ * Apply the threshold settings on top of a tracking profile
+ * @param {Object} profile - Profile from trackingProfiles.js
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Object} Profile whose send thresholds include the overrides
+ */
+export function applySendSettings(profile, settings) {
+  const intervals = { ...profile.send.intervals };
+  for (const state of MOTION_STATES) {
+    if (settings.intervals[state] !== null) {
+      intervals[state] = settings.intervals[state];
+    }
+  }
+  return {
+    ...profile,
+    send: {
+      ...profile.send,
+      distanceThreshold: settings.distanceThreshold !== null ? settings.distanceThreshold : profile.send.distanceThreshold,
+      intervals
+    }
+  };
+}
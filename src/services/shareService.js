@@ -0,0 +1,79 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getServerUrl, buildHeaders } from './api';
+
+const SHARE_SESSION_KEY = 'share_session';
+
+// Share durations offered to the user; null shares until stopped
+export const SHARE_DURATIONS = [
+  { label: '1 hour', duration: 60 * 60 * 1000 },
+  { label: '8 hours', duration: 8 * 60 * 60 * 1000 },
+  { label: 'Until stopped', duration: null }
+];
+
+/**
+ * Check whether a share session is still valid
+ * @param {Object} session - Share session
+ * @returns {boolean} True if the session has not expired
+ */
+function isSessionActive(session) {
+  return !session.expiresAt || new Date(session.expiresAt).getTime() > Date.now();
+}
+
+/**
+ * Create a time-limited share session for the signed-in user
+ * @param {number|null} duration - Session length in milliseconds, or null until stopped
+ * @returns {Promise<Object>} Session { id, url, createdAt, expiresAt }
+ */
+export async function createShareSession(duration) {
+  const response = await fetch(`${await getServerUrl()}/api/share`, {
+    method: 'POST',
+    headers: await buildHeaders(),
+    body: JSON.stringify({ duration })
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || `Server responded with ${response.status}`);
+  }
+
+  await AsyncStorage.setItem(SHARE_SESSION_KEY, JSON.stringify(body.session));
+  return body.session;
+}
+
+/**
+ * Revoke a share session so its link stops working
+ * @param {Object} session - Session returned by createShareSession()
+ */
+export async function revokeShareSession(session) {
+  const response = await fetch(`${await getServerUrl()}/api/share/${session.id}`, {
+    method: 'DELETE',
+    headers: await buildHeaders()
+  });
+
+  // A session the server no longer knows about is as good as revoked
+  if (!response.ok && response.status !== 404) {
+    const body = await response.json();
+    throw new Error(body.error || `Server responded with ${response.status}`);
+  }
+
+  await AsyncStorage.removeItem(SHARE_SESSION_KEY);
+}
+
+/**
+ * Get the current share session, if it has not expired
+ * @returns {Promise<Object|null>} Active session or null
+ */
+export async function getActiveShareSession() {
+  try {
+    const stored = await AsyncStorage.getItem(SHARE_SESSION_KEY);
+    const session = stored ? JSON.parse(stored) : null;
+    if (session && !isSessionActive(session)) {
+      await AsyncStorage.removeItem(SHARE_SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.error('Error getting share session:', error);
+    return null;
+  }
+}
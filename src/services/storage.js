@@ -1,56 +1,531 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { haversineDistance } from './geo';
+import { updateHistoryStatus } from './historyDb';
 
-const BUFFER_KEY = 'location_buffer';
+// Legacy single-array buffer key, migrated to chunks on first access
+const LEGACY_BUFFER_KEY = 'location_buffer';
+const BUFFER_INDEX_KEY = 'location_buffer:index';
+const BUFFER_CHUNK_PREFIX = 'location_buffer:chunk:';
+// Legacy single-array quarantine key, migrated to chunks on first access
+const LEGACY_QUARANTINE_KEY = 'location_quarantine';
+const QUARANTINE_INDEX_KEY = 'location_quarantine:index';
+const QUARANTINE_CHUNK_PREFIX = 'location_quarantine:chunk:';
+
+// Number of payloads stored under a single AsyncStorage key
+const CHUNK_SIZE = 50;
+
+// Default buffer limits, see configureBuffer()
+const bufferLimits = {
+  maxSize: 1000,                        // payloads
+  maxAge: 7 * 24 * 60 * 60 * 1000,      // 7 days
+};
+
+// Quarantined payloads are only kept for inspection, so the oldest are simply dropped
+const QUARANTINE_LIMITS = {
+  maxSize: 500,                         // payloads
+  maxAge: 30 * 24 * 60 * 60 * 1000,     // 30 days
+};
+
+// Compaction thins the buffer down to this share of maxSize so it doesn't run on every append
+const COMPACTION_TARGET = 0.8;
+
+// Starting distance for spatial thinning, doubled until the buffer fits
+const THINNING_TOLERANCE = 10; // meters
+
+// Promise chain serializing every read-modify-write of the buffer and quarantine
+let storageLock = Promise.resolve();
+
+/**
+ * Run a storage operation once all previously queued operations have finished
+ * Prevents the foreground handler and background task from overwriting each other
+ * @param {Function} operation - Async function to run exclusively
+ * @returns {Promise<*>} Result of the operation
+ */
+function withStorageLock(operation) {
+  const result = storageLock.then(operation, operation);
+  storageLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Change the buffer limits
+ * @param {Object} limits - { maxSize, maxAge } in payloads and milliseconds
+ */
+export function configureBuffer(limits) {
+  Object.assign(bufferLimits, limits);
+}
+
+/**
+ * Get the timestamp of a payload in milliseconds
+ * @param {Object} payload - Location payload
+ * @returns {number} Timestamp in milliseconds
+ */
+function payloadTime(payload) {
+  return new Date(payload.timestamp).getTime();
+}
+
+// Chunked stores: where their index and chunks live and which time their entries age by
+const BUFFER_STORE = {
+  indexKey: BUFFER_INDEX_KEY,
+  chunkPrefix: BUFFER_CHUNK_PREFIX,
+  timeOf: payloadTime,
+};
+const QUARANTINE_STORE = {
+  indexKey: QUARANTINE_INDEX_KEY,
+  chunkPrefix: QUARANTINE_CHUNK_PREFIX,
+  timeOf: (entry) => new Date(entry.quarantinedAt).getTime(),
+};
+
+/**
+ * Get the chunk key for a chunk ID
+ * @param {number} chunkId - Chunk ID
+ * @param {Object} store - BUFFER_STORE or QUARANTINE_STORE
+ * @returns {string} AsyncStorage key
+ */
+function chunkKey(chunkId, store = BUFFER_STORE) {
+  return `${store.chunkPrefix}${chunkId}`;
+}
+
+/**
+ * Summarize a chunk for the store index
+ * @param {number} id - Chunk ID
+ * @param {Array} entries - Entries in the chunk
+ * @param {Object} store - BUFFER_STORE or QUARANTINE_STORE
+ * @returns {Object} Chunk descriptor { id, count, oldest }
+ */
+function describeChunk(id, entries, store = BUFFER_STORE) {
+  return {
+    id,
+    count: entries.length,
+    oldest: Math.min(...entries.map(store.timeOf)),
+  };
+}
+
+/**
+ * Load the buffer index, migrating the legacy single-array buffer if present
+ * @returns {Promise<Object>} Index of the form { chunks, nextChunkId }
+ */
+async function loadIndex() {
+  const index = await AsyncStorage.getItem(BUFFER_INDEX_KEY);
+  if (index) {
+    return JSON.parse(index);
+  }
+
+  const legacy = await AsyncStorage.getItem(LEGACY_BUFFER_KEY);
+  const entries = legacy ? JSON.parse(legacy) : [];
+  entries.forEach((entry, position) => {
+    // Entries buffered before fixes carried IDs get one assigned
+    if (!entry.id) {
+      entry.id = `legacy-${payloadTime(entry)}-${position}`;
+    }
+  });
+
+  const migrated = await writeChunks({ chunks: [], nextChunkId: 0 }, entries);
+  if (legacy) {
+    await AsyncStorage.removeItem(LEGACY_BUFFER_KEY);
+  }
+  return migrated;
+}
+
+/**
+ * Load the entries of a set of chunks in store order
+ * @param {Array} chunks - Chunk descriptors from the index
+ * @param {Object} store - BUFFER_STORE or QUARANTINE_STORE
+ * @returns {Promise<Array<Array>>} Entry arrays, one per chunk
+ */
+async function loadChunks(chunks, store = BUFFER_STORE) {
+  if (chunks.length === 0) {
+    return [];
+  }
+  const pairs = await AsyncStorage.multiGet(chunks.map((chunk) => chunkKey(chunk.id, store)));
+  return pairs.map(([, value]) => (value ? JSON.parse(value) : []));
+}
+
+/**
+ * Replace the whole store with the given entries
+ * New chunks are written before the index that points at them, so a crash
+ * leaves either the old or the new entries intact, never a mix.
+ * @param {Object} index - Current store index
+ * @param {Array} entries - Entries in store order
+ * @param {Object} store - BUFFER_STORE or QUARANTINE_STORE
+ * @returns {Promise<Object>} New store index
+ */
+async function writeChunks(index, entries, store = BUFFER_STORE) {
+  let nextChunkId = index.nextChunkId;
+  const chunks = [];
+  const writes = [];
+
+  for (let start = 0; start < entries.length; start += CHUNK_SIZE) {
+    const chunkEntries = entries.slice(start, start + CHUNK_SIZE);
+    const id = nextChunkId++;
+    chunks.push(describeChunk(id, chunkEntries, store));
+    writes.push([chunkKey(id, store), JSON.stringify(chunkEntries)]);
+  }
+
+  if (writes.length > 0) {
+    await AsyncStorage.multiSet(writes);
+  }
+  const newIndex = { chunks, nextChunkId };
+  await AsyncStorage.setItem(store.indexKey, JSON.stringify(newIndex));
+
+  if (index.chunks.length > 0) {
+    await AsyncStorage.multiRemove(index.chunks.map((chunk) => chunkKey(chunk.id, store)));
+  }
+  return newIndex;
+}
+
+/**
+ * Thin older payloads spatially until the buffer fits the target size
+ * The newest half is kept as-is; in the older half, points that are close to
+ * the previously kept point are dropped, with a growing distance tolerance.
+ * @param {Array} entries - Payloads in buffer order
+ * @param {number} targetSize - Maximum number of payloads to keep
+ * @returns {Array} Compacted payloads in buffer order
+ */
+export function thinBuffer(entries, targetSize) {
+  const recentCount = Math.min(Math.ceil(entries.length / 2), targetSize);
+  const recent = entries.slice(entries.length - recentCount);
+  let older = entries.slice(0, entries.length - recentCount);
+
+  for (let tolerance = THINNING_TOLERANCE;
+    older.length + recent.length > targetSize && tolerance <= 100 * 1000;
+    tolerance *= 2) {
+    const kept = [];
+    for (const payload of older) {
+      const previous = kept[kept.length - 1];
+      if (!previous ||
+          haversineDistance(previous.lat, previous.lon, payload.lat, payload.lon) >= tolerance) {
+        kept.push(payload);
+      }
+    }
+    older = kept;
+  }
+
+  // Stationary tracks may not thin enough; drop the oldest remaining points
+  const overflow = older.length + recent.length - targetSize;
+  if (overflow > 0) {
+    older = older.slice(overflow);
+  }
+  return [...older, ...recent];
+}
+
+/**
+ * Evict payloads that are too old, and compact the buffer if it is too large
+ * @param {Object} index - Current buffer index
+ * @returns {Promise<Object>} Updated buffer index
+ */
+async function enforceLimits(index) {
+  const cutoff = Date.now() - bufferLimits.maxAge;
+  const total = index.chunks.reduce((sum, chunk) => sum + chunk.count, 0);
+  const hasExpired = index.chunks.some((chunk) => chunk.oldest < cutoff);
+
+  if (total <= bufferLimits.maxSize && !hasExpired) {
+    return index;
+  }
+
+  const entries = (await loadChunks(index.chunks)).flat();
+  const fresh = entries.filter((payload) => payloadTime(payload) >= cutoff);
+  let kept = fresh;
+  if (kept.length > bufferLimits.maxSize) {
+    kept = thinBuffer(kept, Math.floor(bufferLimits.maxSize * COMPACTION_TARGET));
+  }
+
+  console.debug(`Evicted ${entries.length - kept.length} buffered locations`);
+  const updated = await writeChunks(index, kept);
+
+  // Evicted fixes will never be sent, so the history must stop showing them as buffered
+  const keptIds = new Set(kept.map((payload) => payload.id));
+  await updateHistoryStatus(
+    entries.filter((payload) => payloadTime(payload) < cutoff).map((payload) => payload.id),
+    'failed',
+    'Expired in the offline buffer'
+  );
+  await updateHistoryStatus(
+    fresh.filter((payload) => !keptIds.has(payload.id)).map((payload) => payload.id),
+    'failed',
+    'Dropped from the full offline buffer'
+  );
+  return updated;
+}
 
 /**
  * Save a location payload to the buffer
+ * Only the last chunk is rewritten. A payload already in that chunk (same ID) is not added twice.
  * @param {Object} payload - Location data to buffer
  */
-export async function saveBuffer(payload) {
-  try {
-    const existingBuffer = await getBuffer();
-    existingBuffer.push(payload);
-    await AsyncStorage.setItem(BUFFER_KEY, JSON.stringify(existingBuffer));
-  } catch (error) {
-    console.error('Error saving to buffer:', error);
-  }
+export function saveBuffer(payload) {
+  return withStorageLock(async () => {
+    try {
+      let index = await loadIndex();
+      const tail = index.chunks[index.chunks.length - 1];
+      const tailEntries = tail ? (await loadChunks([tail]))[0] : [];
+
+      if (tailEntries.some((entry) => entry.id === payload.id)) {
+        return;
+      }
+
+      if (tail && tailEntries.length < CHUNK_SIZE) {
+        tailEntries.push(payload);
+        await AsyncStorage.setItem(chunkKey(tail.id), JSON.stringify(tailEntries));
+        index.chunks[index.chunks.length - 1] = describeChunk(tail.id, tailEntries);
+      } else {
+        const id = index.nextChunkId;
+        await AsyncStorage.setItem(chunkKey(id), JSON.stringify([payload]));
+        index = {
+          chunks: [...index.chunks, describeChunk(id, [payload])],
+          nextChunkId: id + 1,
+        };
+      }
+      await AsyncStorage.setItem(BUFFER_INDEX_KEY, JSON.stringify(index));
+
+      await enforceLimits(index);
+    } catch (error) {
+      console.error('Error saving to buffer:', error);
+    }
+  });
 }
 
 /**
  * Get all buffered location payloads
- * @returns {Promise<Array>} Array of buffered payloads
- */
-export async function getBuffer() {
-  try {
-    const buffer = await AsyncStorage.getItem(BUFFER_KEY);
-    return buffer ? JSON.parse(buffer) : [];
-  } catch (error) {
-    console.error('Error getting buffer:', error);
-    return [];
+ * @returns {Promise<Array>} Array of buffered payloads, oldest first
+ */
+export function getBuffer() {
+  return withStorageLock(async () => {
+    try {
+      const index = await loadIndex();
+      return (await loadChunks(index.chunks)).flat();
+    } catch (error) {
+      console.error('Error getting buffer:', error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Remove entries from the buffer by their fix ID
+ * Only chunks that contain one of the IDs are rewritten
+ * @param {Array<string>} ids - IDs of the payloads to remove
+ */
+export function removeFromBuffer(ids) {
+  if (ids.length === 0) {
+    return Promise.resolve();
   }
+
+  return withStorageLock(async () => {
+    try {
+      const toRemove = new Set(ids);
+      const index = await loadIndex();
+      const chunkEntries = await loadChunks(index.chunks);
+      const chunks = [];
+      const writes = [];
+      const removals = [];
+
+      index.chunks.forEach((chunk, position) => {
+        const entries = chunkEntries[position];
+        const remaining = entries.filter((entry) => !toRemove.has(entry.id));
+        if (remaining.length === 0) {
+          removals.push(chunkKey(chunk.id));
+        } else if (remaining.length < entries.length) {
+          chunks.push(describeChunk(chunk.id, remaining));
+          writes.push([chunkKey(chunk.id), JSON.stringify(remaining)]);
+        } else {
+          chunks.push(chunk);
+        }
+      });
+
+      if (writes.length > 0) {
+        await AsyncStorage.multiSet(writes);
+      }
+      await AsyncStorage.setItem(BUFFER_INDEX_KEY, JSON.stringify({ ...index, chunks }));
+      if (removals.length > 0) {
+        await AsyncStorage.multiRemove(removals);
+      }
+    } catch (error) {
+      console.error('Error removing from buffer:', error);
+    }
+  });
 }
 
 /**
  * Clear the location buffer
  */
-export async function clearBuffer() {
-  try {
-    await AsyncStorage.removeItem(BUFFER_KEY);
-  } catch (error) {
-    console.error('Error clearing buffer:', error);
-  }
+export function clearBuffer() {
+  return withStorageLock(async () => {
+    try {
+      const index = await loadIndex();
+      const entries = (await loadChunks(index.chunks)).flat();
+      await AsyncStorage.multiRemove([
+        BUFFER_INDEX_KEY,
+        ...index.chunks.map((chunk) => chunkKey(chunk.id)),
+      ]);
+      await updateHistoryStatus(entries.map((payload) => payload.id), 'failed', 'Offline buffer cleared');
+    } catch (error) {
+      console.error('Error clearing buffer:', error);
+    }
+  });
 }
 
 /**
  * Get the number of buffered locations
  * @returns {Promise<number>} Count of buffered locations
  */
-export async function getBufferCount() {
-  try {
-    const buffer = await getBuffer();
-    return buffer.length;
-  } catch (error) {
-    console.error('Error getting buffer count:', error);
-    return 0;
+export function getBufferCount() {
+  return withStorageLock(async () => {
+    try {
+      const index = await loadIndex();
+      return index.chunks.reduce((sum, chunk) => sum + chunk.count, 0);
+    } catch (error) {
+      console.error('Error getting buffer count:', error);
+      return 0;
+    }
+  });
+}
+
+/**
+ * Load the quarantine index, migrating the legacy single-array quarantine if present
+ * @returns {Promise<Object>} Index of the form { chunks, nextChunkId }
+ */
+async function loadQuarantineIndex() {
+  const index = await AsyncStorage.getItem(QUARANTINE_INDEX_KEY);
+  if (index) {
+    return JSON.parse(index);
+  }
+
+  const legacy = await AsyncStorage.getItem(LEGACY_QUARANTINE_KEY);
+  const migrated = await writeChunks({ chunks: [], nextChunkId: 0 }, legacy ? JSON.parse(legacy) : [], QUARANTINE_STORE);
+  if (legacy) {
+    await AsyncStorage.removeItem(LEGACY_QUARANTINE_KEY);
+  }
+  return migrated;
+}
+
+/**
+ * Drop the oldest quarantined payloads beyond the size and age limits
+ * Entries are in the order they were quarantined, so only the front chunks are touched.
+ * @param {Object} index - Current quarantine index
+ * @returns {Promise<Object>} Updated quarantine index
+ */
+async function enforceQuarantineLimits(index) {
+  const cutoff = Date.now() - QUARANTINE_LIMITS.maxAge;
+  let total = index.chunks.reduce((sum, chunk) => sum + chunk.count, 0);
+  const chunks = [...index.chunks];
+  const removals = [];
+
+  while (chunks.length > 0) {
+    const front = chunks[0];
+    const excess = total - QUARANTINE_LIMITS.maxSize;
+    if (excess <= 0 && front.oldest >= cutoff) {
+      break;
+    }
+
+    const [entries] = await loadChunks([front], QUARANTINE_STORE);
+    const kept = entries.slice(Math.max(excess, 0))
+      .filter((entry) => QUARANTINE_STORE.timeOf(entry) >= cutoff);
+    total -= entries.length - kept.length;
+    if (kept.length > 0) {
+      await AsyncStorage.setItem(chunkKey(front.id, QUARANTINE_STORE), JSON.stringify(kept));
+      chunks[0] = describeChunk(front.id, kept, QUARANTINE_STORE);
+      break;
+    }
+    removals.push(chunkKey(front.id, QUARANTINE_STORE));
+    chunks.shift();
+  }
+
+  if (chunks.length === index.chunks.length && chunks[0] === index.chunks[0]) {
+    return index;
   }
-}
\ No newline at end of file
+  const newIndex = { ...index, chunks };
+  await AsyncStorage.setItem(QUARANTINE_INDEX_KEY, JSON.stringify(newIndex));
+  if (removals.length > 0) {
+    await AsyncStorage.multiRemove(removals);
+  }
+  return newIndex;
+}
+
+/**
+ * Move payloads the server will never accept out of the retry path
+ * Only the last chunk is rewritten; beyond its limits the oldest entries are dropped.
+ * @param {Array<Object>} entries - Items of the form { payload, reason }
+ */
+export function quarantinePayloads(entries) {
+  if (entries.length === 0) {
+    return Promise.resolve();
+  }
+
+  return withStorageLock(async () => {
+    try {
+      const index = await loadQuarantineIndex();
+      const quarantinedAt = new Date().toISOString();
+      const tail = index.chunks[index.chunks.length - 1];
+      const tailEntries = tail && tail.count < CHUNK_SIZE ? (await loadChunks([tail], QUARANTINE_STORE))[0] : [];
+      const pending = [...tailEntries, ...entries.map(({ payload, reason }) => ({ payload, reason, quarantinedAt }))];
+
+      const chunks = tailEntries.length > 0 ? index.chunks.slice(0, -1) : [...index.chunks];
+      let nextChunkId = index.nextChunkId;
+      const writes = [];
+      for (let start = 0; start < pending.length; start += CHUNK_SIZE) {
+        const chunkEntries = pending.slice(start, start + CHUNK_SIZE);
+        // The partly filled tail chunk keeps its ID; further entries start new chunks
+        const id = start === 0 && tailEntries.length > 0 ? tail.id : nextChunkId++;
+        chunks.push(describeChunk(id, chunkEntries, QUARANTINE_STORE));
+        writes.push([chunkKey(id, QUARANTINE_STORE), JSON.stringify(chunkEntries)]);
+      }
+      await AsyncStorage.multiSet(writes);
+      const newIndex = { chunks, nextChunkId };
+      await AsyncStorage.setItem(QUARANTINE_INDEX_KEY, JSON.stringify(newIndex));
+
+      await enforceQuarantineLimits(newIndex);
+    } catch (error) {
+      console.error('Error saving to quarantine:', error);
+    }
+  });
+}
+
+/**
+ * Get all quarantined payloads
+ * @returns {Promise<Array>} Array of { payload, reason, quarantinedAt }, oldest first
+ */
+export function getQuarantine() {
+  return withStorageLock(async () => {
+    try {
+      const index = await loadQuarantineIndex();
+      return (await loadChunks(index.chunks, QUARANTINE_STORE)).flat();
+    } catch (error) {
+      console.error('Error getting quarantine:', error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Get the number of quarantined payloads
+ * @returns {Promise<number>} Count of quarantined payloads
+ */
+export function getQuarantineCount() {
+  return withStorageLock(async () => {
+    try {
+      const index = await loadQuarantineIndex();
+      return index.chunks.reduce((sum, chunk) => sum + chunk.count, 0);
+    } catch (error) {
+      console.error('Error getting quarantine count:', error);
+      return 0;
+    }
+  });
+}
+
+/**
+ * Clear the quarantined payloads
+ */
+export function clearQuarantine() {
+  return withStorageLock(async () => {
+    try {
+      const index = await loadQuarantineIndex();
+      await AsyncStorage.multiRemove([
+        QUARANTINE_INDEX_KEY,
+        ...index.chunks.map((chunk) => chunkKey(chunk.id, QUARANTINE_STORE)),
+      ]);
+    } catch (error) {
+      console.error('Error clearing quarantine:', error);
+    }
+  });
+}
@@ -0,0 +1,198 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { getHistoryRange } from './historyDb';
+
+const CREATOR = 'Adaptive Location Share';
+
+// GPX namespaces: the format itself, Garmin's TrackPointExtension for speed and this app's for accuracy
+const GPX_NAMESPACES = {
+  gpx: 'http://www.topografix.com/GPX/1/1',
+  gpxtpx: 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2',
+  als: 'urn:adaptive-location-share:gpx:1'
+};
+
+/**
+ * Escape text for use in XML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Bring fixes into one shape, oldest first
+ * @param {Array} fixes - Fixes with { timestamp, lat, lon, speed, accuracy }; timestamp
+ *   may be an ISO string or milliseconds, speed and accuracy may be missing
+ * @returns {Array} Array of { time, lat, lon, speed, accuracy } with time as an ISO string
+ *   and missing values as null
+ */
+function normalizePoints(fixes) {
+  return fixes
+    .map((fix) => ({
+      time: new Date(fix.timestamp).toISOString(),
+      lat: fix.lat,
+      lon: fix.lon,
+      speed: typeof fix.speed === 'number' ? fix.speed : null,
+      accuracy: typeof fix.accuracy === 'number' ? fix.accuracy : null
+    }))
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Render fixes as a GPX 1.1 track
+ * GPX 1.1 has no speed or accuracy element, so both go into each point's extensions:
+ * speed as the Garmin TrackPointExtension that most GPX readers understand, accuracy
+ * in this app's own namespace, since extensions may only hold elements of other namespaces.
+ * @param {Array} fixes - See normalizePoints()
+ * @param {string} name - Track name
+ * @returns {string} GPX document
+ */
+export function toGpx(fixes, name) {
+  const points = normalizePoints(fixes).map((point) => {
+    const extensions = [
+      point.speed !== null
+        ? `<gpxtpx:TrackPointExtension><gpxtpx:speed>${point.speed}</gpxtpx:speed></gpxtpx:TrackPointExtension>`
+        : '',
+      point.accuracy !== null ? `<als:accuracy>${point.accuracy}</als:accuracy>` : ''
+    ].join('');
+    return `      <trkpt lat="${point.lat}" lon="${point.lon}">` +
+      `<time>${point.time}</time>` +
+      (extensions ? `<extensions>${extensions}</extensions>` : '') +
+      '</trkpt>';
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="${GPX_NAMESPACES.gpx}"` +
+      ` xmlns:gpxtpx="${GPX_NAMESPACES.gpxtpx}" xmlns:als="${GPX_NAMESPACES.als}">`,
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render fixes as a GeoJSON FeatureCollection
+ * Each fix is a Point with its timestamp, speed and accuracy; a LineString of
+ * the whole track comes first when there are at least two fixes.
+ * @param {Array} fixes - See normalizePoints()
+ * @param {string} name - Track name
+ * @returns {string} GeoJSON document
+ */
+export function toGeoJson(fixes, name) {
+  const points = normalizePoints(fixes);
+  const features = points.map((point) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+    properties: { timestamp: point.time, speed: point.speed, accuracy: point.accuracy }
+  }));
+
+  if (points.length >= 2) {
+    features.unshift({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: points.map((point) => [point.lon, point.lat]) },
+      properties: { name, startTime: points[0].time, endTime: points[points.length - 1].time }
+    });
+  }
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2) + '\n';
+}
+
+/**
+ * Render fixes as a KML gx:Track
+ * Speed and accuracy are per-point arrays in the track's extended data;
+ * fixes without a value get an empty entry so the arrays stay aligned.
+ * @param {Array} fixes - See normalizePoints()
+ * @param {string} name - Track name
+ * @returns {string} KML document
+ */
+export function toKml(fixes, name) {
+  const points = normalizePoints(fixes);
+  const values = (field) => points.map((point) => `              <gx:value>${point[field] ?? ''}</gx:value>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <Schema id="fix">',
+    '      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (m/s)</displayName></gx:SimpleArrayField>',
+    '      <gx:SimpleArrayField name="accuracy" type="float"><displayName>Accuracy (m)</displayName></gx:SimpleArrayField>',
+    '    </Schema>',
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    '      <gx:Track>',
+    ...points.map((point) => `        <when>${point.time}</when>`),
+    ...points.map((point) => `        <gx:coord>${point.lon} ${point.lat} 0</gx:coord>`),
+    '        <ExtendedData>',
+    '          <SchemaData schemaUrl="#fix">',
+    '            <gx:SimpleArrayData name="speed">',
+    ...values('speed'),
+    '            </gx:SimpleArrayData>',
+    '            <gx:SimpleArrayData name="accuracy">',
+    ...values('accuracy'),
+    '            </gx:SimpleArrayData>',
+    '          </SchemaData>',
+    '        </ExtendedData>',
+    '      </gx:Track>',
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+// Supported formats with their renderer, MIME type and file extension
+// The renderers mirror mock-server/exporters.js so files from the app and the server are identical
+export const EXPORT_FORMATS = {
+  gpx: { render: toGpx, mimeType: 'application/gpx+xml', extension: 'gpx' },
+  geojson: { render: toGeoJson, mimeType: 'application/geo+json', extension: 'geojson' },
+  kml: { render: toKml, mimeType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+/**
+ * Export the on-device history of a time range and open the share sheet
+ * @param {string} formatId - Key of EXPORT_FORMATS
+ * @param {number} from - Range start in milliseconds
+ * @param {number} to - Range end in milliseconds (exclusive)
+ * @returns {Promise<number>} Number of exported fixes
+ * @throws {Error} If the format is unknown, the range has no fixes or sharing is unavailable
+ */
+export async function exportHistory(formatId, from, to) {
+  const format = EXPORT_FORMATS[formatId];
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+
+  const fixes = await getHistoryRange(from, to);
+  if (fixes.length === 0) {
+    throw new Error('No fixes recorded in this time range');
+  }
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const day = (time) => new Date(time).toISOString().slice(0, 10);
+  const first = day(fixes[0].timestamp);
+  const last = day(fixes[fixes.length - 1].timestamp);
+  const file = new File(Paths.cache, `location-history-${first}-${last}.${format.extension}`);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(format.render(fixes, `Location history ${first} to ${last}`));
+
+  await Sharing.shareAsync(file.uri, { mimeType: format.mimeType, dialogTitle: 'Export Location History' });
+  return fixes.length;
+}
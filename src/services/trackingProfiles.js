@@ -0,0 +1,195 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const PROFILE_KEY = 'tracking_profile';
+
+// Motion classes every profile needs a send interval for
+export const MOTION_STATES = ['STILL', 'WALKING', 'BIKE', 'VEHICLE'];
+
+// Speed bands separating the motion states, shared by the presets and mirrored by mock-server/motion.js
+export const SPEED_THRESHOLDS = {
+  STILL: 0.5,     // m/s
+  WALKING: 2.0,   // m/s
+  BIKE: 6.0       // m/s
+};
+
+// Accuracy values are keys of Location.Accuracy so profiles can be stored as JSON
+export const ACCURACY_LEVELS = ['Lowest', 'Low', 'Balanced', 'High', 'Highest', 'BestForNavigation'];
+
+/**
+ * Built-in profiles
+ * foreground: options for Location.watchPositionAsync
+ * background: options for Location.startLocationUpdatesAsync
+ * send: thresholds of the adaptive send logic
+ */
+export const TRACKING_PROFILES = {
+  batterySaver: {
+    id: 'batterySaver',
+    name: 'Battery Saver',
+    description: 'Coarse fixes and infrequent updates',
+    foreground: { accuracy: 'Balanced', timeInterval: 15000, distanceInterval: 25 },
+    background: {
+      accuracy: 'Balanced',
+      timeInterval: 120000,           // 2 minutes
+      distanceInterval: 50,
+      deferredUpdatesInterval: 300000, // 5 minutes
+      deferredUpdatesDistance: 200
+    },
+    send: {
+      distanceThreshold: 50,
+      intervals: { STILL: 30 * 60 * 1000, WALKING: 10 * 60 * 1000, BIKE: 5 * 60 * 1000, VEHICLE: 2 * 60 * 1000 },
+      speedThresholds: SPEED_THRESHOLDS
+    }
+  },
+  balanced: {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'Accurate fixes, updates adapted to how fast you move',
+    foreground: { accuracy: 'High', timeInterval: 5000, distanceInterval: 5 },
+    background: {
+      accuracy: 'High',
+      timeInterval: 30000,            // 30 seconds
+      distanceInterval: 10,
+      deferredUpdatesInterval: 60000,  // 1 minute
+      deferredUpdatesDistance: 50
+    },
+    send: {
+      distanceThreshold: 10,
+      intervals: { STILL: 15 * 60 * 1000, WALKING: 5 * 60 * 1000, BIKE: 2 * 60 * 1000, VEHICLE: 60 * 1000 },
+      speedThresholds: SPEED_THRESHOLDS
+    }
+  },
+  precise: {
+    id: 'precise',
+    name: 'Precise',
+    description: 'Best accuracy and frequent updates, uses the most battery',
+    foreground: { accuracy: 'Highest', timeInterval: 1000, distanceInterval: 0 },
+    background: {
+      accuracy: 'Highest',
+      timeInterval: 5000,             // 5 seconds
+      distanceInterval: 5,
+      deferredUpdatesInterval: 0,
+      deferredUpdatesDistance: 0
+    },
+    send: {
+      distanceThreshold: 5,
+      intervals: { STILL: 5 * 60 * 1000, WALKING: 60 * 1000, BIKE: 30 * 1000, VEHICLE: 15 * 1000 },
+      speedThresholds: SPEED_THRESHOLDS
+    }
+  }
+};
+
+export const DEFAULT_PROFILE_ID = 'balanced';
+
+// The custom profile starts as a copy of the default
+const DEFAULT_CUSTOM_PROFILE = {
+  ...TRACKING_PROFILES[DEFAULT_PROFILE_ID],
+  id: 'custom',
+  name: 'Custom',
+  description: 'Your own sampling and send settings'
+};
+
+/**
+ * Get the stored profile selection and custom profile
+ * @returns {Promise<Object>} { selected, custom }
+ */
+async function getProfileSettings() {
+  try {
+    const settings = await AsyncStorage.getItem(PROFILE_KEY);
+    return {
+      selected: DEFAULT_PROFILE_ID,
+      custom: DEFAULT_CUSTOM_PROFILE,
+      ...(settings ? JSON.parse(settings) : {})
+    };
+  } catch (error) {
+    console.error('Error getting tracking profile:', error);
+    return { selected: DEFAULT_PROFILE_ID, custom: DEFAULT_CUSTOM_PROFILE };
+  }
+}
+
+/**
+ * Get the custom profile
+ * @returns {Promise<Object>} Custom profile
+ */
+export async function getCustomProfile() {
+  const { custom } = await getProfileSettings();
+  return custom;
+}
+
+/**
+ * Get the selected profile
+ * @returns {Promise<Object>} Built-in or custom profile
+ */
+export async function getSelectedProfile() {
+  const { selected, custom } = await getProfileSettings();
+  if (selected === 'custom') {
+    return custom;
+  }
+  return TRACKING_PROFILES[selected] || TRACKING_PROFILES[DEFAULT_PROFILE_ID];
+}
+
+/**
+ * Select a profile
+ * Running location updates keep their settings until reloadTrackingProfile()
+ * in locationService.js is called.
+ * @param {string} profileId - Key of TRACKING_PROFILES or 'custom'
+ */
+export async function selectProfile(profileId) {
+  if (profileId !== 'custom' && !TRACKING_PROFILES[profileId]) {
+    throw new Error(`Unknown tracking profile: ${profileId}`);
+  }
+  const settings = await getProfileSettings();
+  await AsyncStorage.setItem(PROFILE_KEY, JSON.stringify({ ...settings, selected: profileId }));
+}
+
+/**
+ * Validate a custom profile
+ * @param {Object} profile - Profile to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProfile(profile) {
+  for (const mode of ['foreground', 'background']) {
+    const sampling = profile[mode];
+    if (!ACCURACY_LEVELS.includes(sampling.accuracy)) {
+      return `${mode} accuracy must be one of: ${ACCURACY_LEVELS.join(', ')}`;
+    }
+    if (!(sampling.timeInterval > 0) || !(sampling.distanceInterval >= 0)) {
+      return `${mode} sampling needs a positive interval and a distance of at least 0`;
+    }
+  }
+  if (!(profile.send.distanceThreshold >= 0)) {
+    return 'Distance threshold must be at least 0 meters';
+  }
+  for (const state of MOTION_STATES) {
+    if (!(profile.send.intervals[state] > 0)) {
+      return `Send interval for ${state} must be positive`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Save changes to the custom profile
+ * @param {Object} changes - Any of { foreground, background, send }, merged into the current custom profile
+ * @returns {Promise<Object>} Updated custom profile
+ * @throws {Error} If the resulting profile is invalid
+ */
+export async function saveCustomProfile(changes) {
+  const settings = await getProfileSettings();
+  const custom = {
+    ...settings.custom,
+    foreground: { ...settings.custom.foreground, ...changes.foreground },
+    background: { ...settings.custom.background, ...changes.background },
+    send: {
+      ...settings.custom.send,
+      ...changes.send,
+      intervals: { ...settings.custom.send.intervals, ...(changes.send && changes.send.intervals) }
+    }
+  };
+
+  const error = validateProfile(custom);
+  if (error) {
+    throw new Error(error);
+  }
+  await AsyncStorage.setItem(PROFILE_KEY, JSON.stringify({ ...settings, custom }));
+  return custom;
+}
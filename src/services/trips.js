@@ -0,0 +1,201 @@
+import { haversineDistance } from './geo';
+import { motionClassFromSpeed } from './locationService';
+import { getHistoryRange } from './historyDb';
+import { getServerUrl, buildHeaders } from './api';
+
+// Segmentation parameters, kept in sync with mock-server/trips.js
+const STAY_RADIUS = 100; // meters
+const MIN_STAY_DURATION = 5 * 60 * 1000; // 5 minutes
+const MAX_FIX_GAP = 20 * 60 * 1000; // 20 minutes without fixes ends a trip
+const MIN_TRIP_DISTANCE = 200; // meters; shorter "trips" are GPS drift
+const MAX_PLAUSIBLE_SPEED = 70; // m/s (~250 km/h), as the app's fix filter
+const MAX_CONSECUTIVE_JUMPS = 3;
+
+// How far back getRecentTrips() looks in the history database
+const RECENT_TRIPS_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Summarize a run of fixes as a trip or stay
+ * Reported speeds are preferred; fixes without one use the speed implied by
+ * the distance from the previous fix.
+ * @param {string} type - 'trip' or 'stay'
+ * @param {Array} fixes - Fixes { timestamp, lat, lon, speed } in time order
+ * @returns {Object} Segment with its statistics
+ */
+function summarizeSegment(type, fixes) {
+  const first = fixes[0];
+  const last = fixes[fixes.length - 1];
+  const classDurations = {};
+  let distance = 0;
+  let maxSpeed = 0;
+
+  for (let i = 1; i < fixes.length; i++) {
+    const previous = fixes[i - 1];
+    const fix = fixes[i];
+    const step = haversineDistance(previous.lat, previous.lon, fix.lat, fix.lon);
+    const elapsed = (fix.timestamp - previous.timestamp) / 1000;
+    const speed = fix.speed > 0 ? fix.speed : (elapsed > 0 ? step / elapsed : 0);
+
+    distance += step;
+    maxSpeed = Math.max(maxSpeed, speed);
+    const motionClass = motionClassFromSpeed(speed);
+    classDurations[motionClass] = (classDurations[motionClass] || 0) + elapsed;
+  }
+
+  const duration = last.timestamp - first.timestamp;
+  const averageSpeed = duration > 0 ? distance / (duration / 1000) : 0;
+  const segment = {
+    type,
+    startTime: new Date(first.timestamp).toISOString(),
+    endTime: new Date(last.timestamp).toISOString(),
+    duration,
+    distance,
+    averageSpeed,
+    // Reported speeds are instantaneous and can sit below the average over a whole segment
+    maxSpeed: Math.max(maxSpeed, averageSpeed),
+    // The class the segment spent the most time in
+    motionClass: Object.keys(classDurations).reduce(
+      (dominant, motionClass) => (classDurations[motionClass] > (classDurations[dominant] || 0) ? motionClass : dominant),
+      'STILL'
+    ),
+    fixCount: fixes.length
+  };
+
+  if (type === 'stay') {
+    segment.motionClass = 'STILL';
+    segment.location = {
+      lat: fixes.reduce((sum, fix) => sum + fix.lat, 0) / fixes.length,
+      lon: fixes.reduce((sum, fix) => sum + fix.lon, 0) / fixes.length
+    };
+  } else {
+    segment.startLocation = { lat: first.lat, lon: first.lon };
+    segment.endLocation = { lat: last.lat, lon: last.lon };
+  }
+  return segment;
+}
+
+/**
+ * Drop fixes that would distort the segments: ones at the time of an earlier fix
+ * (they would make zero-duration steps) and jumps from the previous kept fix faster
+ * than any vehicle (GPS teleports)
+ * After several jumps in a row the previous fix was the outlier, so the jump is kept.
+ * @param {Array} sorted - Fixes { timestamp, lat, lon, speed } in time order
+ * @returns {Array} Usable fixes in time order
+ */
+function cleanFixes(sorted) {
+  const kept = [];
+  let consecutiveJumps = 0;
+  for (const fix of sorted) {
+    const previous = kept[kept.length - 1];
+    if (previous) {
+      const elapsed = (fix.timestamp - previous.timestamp) / 1000;
+      if (elapsed <= 0) {
+        continue;
+      }
+      const speed = haversineDistance(previous.lat, previous.lon, fix.lat, fix.lon) / elapsed;
+      if (speed > MAX_PLAUSIBLE_SPEED && consecutiveJumps < MAX_CONSECUTIVE_JUMPS) {
+        consecutiveJumps++;
+        continue;
+      }
+    }
+    consecutiveJumps = 0;
+    kept.push(fix);
+  }
+  return kept;
+}
+
+/**
+ * Divide fixes into trips and stays
+ * A stay is at least MIN_STAY_DURATION spent within STAY_RADIUS of where it began.
+ * Everything between stays is movement; it is split into separate trips at gaps
+ * longer than MAX_FIX_GAP.
+ * @param {Array} fixes - Fixes { timestamp (ms), lat, lon, speed }
+ * @returns {Array} Segments in time order, see summarizeSegment()
+ */
+export function segmentFixes(fixes) {
+  const sorted = cleanFixes([...fixes].sort((a, b) => a.timestamp - b.timestamp));
+  const segments = [];
+  let trip = [];
+  let cluster = [];
+
+  const closeTrip = () => {
+    if (trip.length >= 2) {
+      const summary = summarizeSegment('trip', trip);
+      if (summary.distance >= MIN_TRIP_DISTANCE) {
+        segments.push(summary);
+      }
+    }
+    trip = [];
+  };
+
+  const addToTrip = (fix) => {
+    const previous = trip[trip.length - 1];
+    if (previous && fix.timestamp - previous.timestamp > MAX_FIX_GAP) {
+      closeTrip();
+    }
+    trip.push(fix);
+  };
+
+  const settleCluster = () => {
+    if (cluster.length === 0) {
+      return;
+    }
+    const duration = cluster[cluster.length - 1].timestamp - cluster[0].timestamp;
+    if (duration >= MIN_STAY_DURATION) {
+      // The trip ends where the stay begins, and the next one starts where it ends
+      addToTrip(cluster[0]);
+      closeTrip();
+      segments.push(summarizeSegment('stay', cluster));
+      trip = [cluster[cluster.length - 1]];
+    } else {
+      cluster.forEach(addToTrip);
+    }
+    cluster = [];
+  };
+
+  for (const fix of sorted) {
+    if (cluster.length > 0 && haversineDistance(cluster[0].lat, cluster[0].lon, fix.lat, fix.lon) <= STAY_RADIUS) {
+      cluster.push(fix);
+    } else {
+      settleCluster();
+      cluster = [fix];
+    }
+  }
+  settleCluster();
+  closeTrip();
+
+  return segments;
+}
+
+/**
+ * Get recent trips computed from the history database on this device
+ * Covers the last 7 days of fixes, sent or not; fixes the quality filter rejected are left out.
+ * @param {number} limit - Maximum number of trips
+ * @returns {Promise<Array>} Trips, newest first
+ */
+export async function getRecentTrips(limit = 20) {
+  const now = Date.now();
+  const history = await getHistoryRange(now - RECENT_TRIPS_WINDOW, now + 1);
+  return segmentFixes(history)
+    .filter((segment) => segment.type === 'trip')
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Get recent trips computed by the server from the fixes it received
+ * @param {number} limit - Maximum number of trips
+ * @returns {Promise<Array>} Trips, newest first
+ * @throws {Error} If the request fails
+ */
+export async function fetchServerTrips(limit = 20) {
+  const response = await fetch(`${await getServerUrl()}/api/trips?limit=${limit}`, {
+    headers: await buildHeaders()
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || `Server responded with ${response.status}`);
+  }
+  return result.trips;
+}
@@ -0,0 +1,21 @@
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+import { restoreAdaptiveState } from '../services/decisionEngine';
+import { HEARTBEAT_TASK_NAME, sendHeartbeatIfDue } from '../services/heartbeat';
+
+/**
+ * Periodic heartbeat task definition
+ * The OS runs this task about every 15 minutes while tracking, whether or not the
+ * phone moves, so a phone lying still in the background keeps reporting in.
+ */
+TaskManager.defineTask(HEARTBEAT_TASK_NAME, async () => {
+  try {
+    // The OS may have started the app just for this task; report the last known motion state
+    await restoreAdaptiveState();
+    await sendHeartbeatIfDue();
+    return BackgroundTask.BackgroundTaskResult.Success;
+  } catch (error) {
+    console.error('Error in heartbeat task:', error);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
@@ -1,5 +1,8 @@
 import * as TaskManager from 'expo-task-manager';
-import { sendPayload, shouldSendLocation, haversineDistance, intervalFromSpeed } from '../services/locationService';
+import { flushBuffer } from '../services/locationService';
+import { processFix, restoreAdaptiveState } from '../services/decisionEngine';
+import { sendHeartbeatIfDue } from '../services/heartbeat';
+import { syncEmergencyState } from '../services/emergency';
 
 // Import the task name from locationService
 import { LOCATION_TASK_NAME } from '../services/locationService';
@@ -17,39 +20,30 @@ TaskManager.defineTask(LOCATION_TASK_NAME, async ({ data, error }) => {
   if (data) {
     const { locations } = data;
     
+    // The OS may have restarted this task in a fresh JS context; pick up where the last one stopped
+    await restoreAdaptiveState();
+    
     // Process each location update
     for (const location of locations) {
       console.debug('Background location update received:', location);
       
       try {
-        // Extract location data
-        const { coords, timestamp } = location;
-        const { latitude, longitude, speed, accuracy } = coords;
-        
-        // Create payload
-        const payload = {
-          userId: 'user-123', // In a real app, this would come from auth
-          lat: latitude,
-          lon: longitude,
-          speed: speed !== null ? speed : 0,
-          accuracy: accuracy,
-          timestamp: new Date(timestamp).toISOString()
-        };
-        
-        // Check if we should send this location based on adaptive logic
-        const shouldSend = await shouldSendLocation(location);
-        
-        if (shouldSend) {
-          console.debug('Sending background location update');
-          await sendPayload(payload);
-        } else {
-          console.debug('Skipping background location update (adaptive logic)');
-        }
+        // Filter, decide and send through the same engine as the foreground path
+        await processFix(location, 'background');
       } catch (err) {
         console.error('Error processing background location:', err);
       }
     }
+    
+    // An SOS alert or cancellation that couldn't be delivered from the UI is retried here
+    await syncEmergencyState();
+    
+    // A user who stays put sends no fixes; let the server know the phone is still there
+    await sendHeartbeatIfDue();
+    
+    // Retry buffered uploads whose backoff has elapsed; the UI may not be running
+    await flushBuffer();
   }
 });
 
-export default TaskManager;
\ No newline at end of file
+export default TaskManager;